@@ -0,0 +1,285 @@
+// === Ad service ===
+// Promise-based front for the JioGames ad placements. The wrapper turns the
+// host's callbacks into "jiogames:ad" window events; this keeps one state
+// per placement and resolves shows when the ad closes:
+//   const { shown, completed, rewarded } = await ads.showRewarded();
+// Placement states: idle → loading → ready → showing → idle (reloaded for
+// the next show), or failed → retried after retryDelays; "unavailable"
+// outside the JioGames app.
+// Events (ads.on(type, fn), fn gets { placement, ... }):
+//   state     any state change ({ placement, state })
+//   ready     an ad loaded
+//   failed    a load failed or timed out ({ placement, reason })
+//   shown     a show started
+//   closed    a show finished ({ placement, completed, rewarded })
+// With a pacing policy (AdPacing) a show it doesn't allow resolves like an
+// ad that wasn't ready.
+
+// When ads may show at all. No ad shows (or is offered) in the player's
+// first sessions or within minSecondsBetweenAds of the last one; on top of
+// that interstitials wait for a number of finished games, and rewarded
+// videos are capped per game.
+const AD_POLICY = {
+  gamesBetweenInterstitials: 2,
+  minSecondsBetweenAds: 90,
+  adFreeSessions: 1,
+  rewardedPerGame: 2,
+};
+
+const AdPacing = {
+  storageKey: "adpacing",
+  sessionKey: "digitdestroyer:adsession", // sessionStorage, one per WebView
+  policy: AD_POLICY,
+  rewardedThisGame: 0,
+
+  // Counts the session on its first page load
+  startSession() {
+    let fresh = true;
+    try {
+      fresh = !window.sessionStorage.getItem(this.sessionKey);
+      window.sessionStorage.setItem(this.sessionKey, "1");
+    } catch (e) {
+      console.log("AdPacing: no sessionStorage", e);
+    }
+    if (fresh) this._update((s) => s.sessions++);
+  },
+
+  // rewarded: videos already watched in this game (a resumed save's count)
+  gameStarted(rewarded = 0) {
+    this.rewardedThisGame = rewarded;
+  },
+
+  gameEnded() {
+    this._update((s) => s.gamesSinceAd++);
+  },
+
+  allows(name) {
+    const policy = this.policy;
+    const { sessions, gamesSinceAd, lastAdAt } = this._state();
+    const paced =
+      sessions > policy.adFreeSessions &&
+      Date.now() - lastAdAt >= policy.minSecondsBetweenAds * 1000;
+    if (name === "rewarded")
+      return paced && this.rewardedThisGame < policy.rewardedPerGame;
+    return paced && gamesSinceAd >= policy.gamesBetweenInterstitials;
+  },
+
+  shown(name) {
+    if (name === "rewarded") this.rewardedThisGame++;
+    this._update((s) => {
+      s.lastAdAt = Date.now();
+      if (name !== "rewarded") s.gamesSinceAd = 0;
+    });
+  },
+
+  _state() {
+    return {
+      sessions: 0,
+      gamesSinceAd: 0,
+      lastAdAt: 0,
+      ...GameStorage.get(this.storageKey, {}),
+    };
+  },
+
+  _update(change) {
+    const state = this._state();
+    change(state);
+    GameStorage.set(this.storageKey, state);
+  },
+};
+
+class AdService {
+  constructor({
+    placements,
+    pacing = null, // AdPacing-like: allows(name), shown(name)
+    loadTimeout = 15000, // no prepared/failed by then counts as failed
+    showTimeout = 120000, // no close by then resolves as not completed
+    retryDelays = [5000, 15000, 60000], // last one repeats
+  }) {
+    this.loadTimeout = loadTimeout;
+    this.showTimeout = showTimeout;
+    this.retryDelays = retryDelays;
+    this.pacing = pacing;
+    this.placements = {};
+    Object.keys(placements).forEach((name) => {
+      this.placements[name] = {
+        name,
+        ...placements[name],
+        state: "idle",
+        failures: 0,
+        timer: null,
+        resolve: null, // pending show
+      };
+    });
+    this._listeners = {};
+    window.addEventListener("jiogames:ad", (e) => this._onHost(e.detail));
+  }
+
+  // ---------- Events ----------
+  on(type, fn) {
+    (this._listeners[type] = this._listeners[type] || []).push(fn);
+    return () => this.off(type, fn);
+  }
+
+  off(type, fn) {
+    this._listeners[type] = (this._listeners[type] || []).filter(
+      (f) => f !== fn
+    );
+  }
+
+  _emit(type, detail) {
+    (this._listeners[type] || []).forEach((fn) => {
+      try {
+        fn(detail);
+      } catch (e) {
+        console.log("AdService: listener failed " + type, e);
+      }
+    });
+  }
+
+  // ---------- State ----------
+  state(name) {
+    return this.placements[name].state;
+  }
+
+  isReady(name) {
+    return this.state(name) === "ready";
+  }
+
+  // Ready and allowed by the pacing policy
+  canShow(name) {
+    return this.isReady(name) && (!this.pacing || this.pacing.allows(name));
+  }
+
+  _setState(placement, state) {
+    clearTimeout(placement.timer);
+    placement.timer = null;
+    placement.state = state;
+    this._emit("state", { placement: placement.name, state });
+  }
+
+  // ---------- Loading ----------
+  // Starts a load unless one is under way or an ad is already waiting
+  cache(name) {
+    const placement = this.placements[name];
+    if (["loading", "ready", "showing"].includes(placement.state)) return;
+    if (!callHost(placement.cacheMethod, placement.spot, placement.source)) {
+      this._setState(placement, "unavailable");
+      return;
+    }
+    this._setState(placement, "loading");
+    placement.timer = setTimeout(
+      () => this._failed(placement, "timeout"),
+      this.loadTimeout
+    );
+  }
+
+  cacheAll() {
+    Object.keys(this.placements).forEach((name) => this.cache(name));
+  }
+
+  _failed(placement, reason) {
+    this._setState(placement, "failed");
+    this._emit("failed", { placement: placement.name, reason });
+    const delays = this.retryDelays;
+    const delay = delays[Math.min(placement.failures, delays.length - 1)];
+    placement.failures++;
+    placement.timer = setTimeout(() => this.cache(placement.name), delay);
+  }
+
+  // ---------- Showing ----------
+  showInterstitial() {
+    return this._show("interstitial");
+  }
+
+  showRewarded() {
+    return this._show("rewarded");
+  }
+
+  // Resolves { shown, completed, rewarded }; right away with shown false
+  // when no ad is ready (a load is started for next time)
+  _show(name) {
+    const placement = this.placements[name];
+    const none = { shown: false, completed: false, rewarded: false };
+    if (this.pacing && !this.pacing.allows(name)) return Promise.resolve(none);
+    if (placement.state !== "ready") {
+      this.cache(name);
+      return Promise.resolve(none);
+    }
+    if (!callHost(placement.showMethod, placement.spot, placement.source)) {
+      this._setState(placement, "unavailable");
+      return Promise.resolve(none);
+    }
+    this._setState(placement, "showing");
+    if (this.pacing) this.pacing.shown(name);
+    this._emit("shown", { placement: name });
+    return new Promise((resolve) => {
+      placement.resolve = resolve;
+      placement.timer = setTimeout(
+        () => this._closed(placement, { completed: false, rewarded: false }),
+        this.showTimeout
+      );
+    });
+  }
+
+  _closed(placement, { completed, rewarded }) {
+    const result = {
+      shown: true,
+      completed,
+      rewarded: !!placement.rewarded && rewarded,
+    };
+    const resolve = placement.resolve;
+    placement.resolve = null;
+    this._setState(placement, "idle");
+    this._emit("closed", { placement: placement.name, ...result });
+    if (resolve) resolve(result);
+    this.cache(placement.name);
+  }
+
+  // ---------- Host events ----------
+  _onHost({ type, spot, ...details }) {
+    const placement = Object.values(this.placements).find(
+      (p) => p.spot === spot
+    );
+    if (!placement) return;
+    switch (type) {
+      case "prepared":
+        if (placement.state === "showing") break;
+        placement.failures = 0;
+        this._setState(placement, "ready");
+        this._emit("ready", { placement: placement.name });
+        break;
+      case "failed":
+        if (placement.state === "showing") {
+          this._closed(placement, { completed: false, rewarded: false });
+        } else {
+          this._failed(placement, details.description || "no fill");
+        }
+        break;
+      case "closed":
+        if (placement.state === "showing") this._closed(placement, details);
+        break;
+    }
+  }
+}
+
+AdPacing.startSession();
+
+const ads = new AdService({
+  pacing: AdPacing,
+  placements: {
+    interstitial: {
+      spot: adSpotInterstitial,
+      source: packageName,
+      cacheMethod: "cacheAd",
+      showMethod: "showAd",
+    },
+    rewarded: {
+      spot: adSpotRewardedVideo,
+      source: packageName,
+      cacheMethod: "cacheAdRewarded",
+      showMethod: "showAdRewarded",
+      rewarded: true,
+    },
+  },
+});
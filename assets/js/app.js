@@ -1,35 +1,78 @@
 // === Digit Destroyer + SOUND (self-contained; no audio files needed) ===
-// Uses Web Audio API to synthesize SFX. Press "M" to mute/unmute.
+// Uses Web Audio API to synthesize SFX. Press "M" to mute/unmute
+// everything, music included (for this visit; it isn't saved).
+// Volume and SFX on/off come from (and are saved to) Settings.
 
 class SoundManager {
   constructor() {
     this.ctx = null;
-    this.muted = false;
+    this.volume = Settings.get("masterVolume") / 100;
+    this.muted = !Settings.get("sfx");
+    this.silenced = false; // "M": master gain held at 0
     this.masterGain = null;
+    this.sfxGain = null; // SFX bus; music has its own (MusicEngine)
+    this._noiseCache = {};
     this._init();
     this._bindMuteKey();
+    Settings.onChange("masterVolume", (v) => this.setVolume(v / 100));
+    Settings.onChange("sfx", (on) => this.setMuted(!on));
   }
   _init() {
     const AudioContext = window.AudioContext || window.webkitAudioContext;
     if (!AudioContext) return;
     this.ctx = new AudioContext();
     this.masterGain = this.ctx.createGain();
-    this.masterGain.gain.value = 0.5; // master volume
+    this.masterGain.gain.value = this.volume; // master volume
     this.masterGain.connect(this.ctx.destination);
+    this.sfxGain = this.ctx.createGain();
+    this.sfxGain.gain.value = this.muted ? 0 : 1;
+    this.sfxGain.connect(this.masterGain);
   }
   _bindMuteKey() {
     window.addEventListener("keydown", (e) => {
+      if (e.target.closest && e.target.closest("input, select")) return;
       if (e.key.toLowerCase() === "m") this.toggleMute();
     });
   }
   async resumeIfNeeded() {
     if (this.ctx && this.ctx.state === "suspended") await this.ctx.resume();
   }
+  setVolume(v) {
+    this.volume = v;
+    if (this.masterGain && !this.silenced) this.masterGain.gain.value = v;
+  }
+  setMuted(muted) {
+    this.muted = muted;
+    if (this.sfxGain) {
+      // Short ramp so muting mid-sound doesn't click
+      const t = this.ctx.currentTime;
+      this.sfxGain.gain.cancelScheduledValues(t);
+      this.sfxGain.gain.setTargetAtTime(muted ? 0 : 1, t, 0.02);
+    }
+  }
   toggleMute() {
-    this.muted = !this.muted;
-    if (this.masterGain) this.masterGain.gain.value = this.muted ? 0 : 0.5;
+    this.silenced = !this.silenced;
+    if (this.masterGain) {
+      const t = this.ctx.currentTime;
+      this.masterGain.gain.cancelScheduledValues(t);
+      this.masterGain.gain.setTargetAtTime(
+        this.silenced ? 0 : this.volume,
+        t,
+        0.02
+      );
+    }
+  }
+
+  // Pitch helper: degree steps up a major pentatonic scale from base, so
+  // "higher" always lands on a note that fits with the last one.
+  scaleFreq(base, degree) {
+    const steps = [0, 2, 4, 7, 9];
+    const octave = Math.floor(degree / steps.length);
+    const semis = octave * 12 + steps[degree % steps.length];
+    return base * Math.pow(2, semis / 12);
   }
-  // Basic tone
+
+  // Basic tone; startOffset (seconds) schedules it on the audio clock
   tone({
     freq = 440,
     duration = 0.1,
@@ -37,9 +80,10 @@ class SoundManager {
     attack = 0.005,
     release = 0.05,
     gain = 0.6,
+    startOffset = 0,
   } = {}) {
     if (!this.ctx || this.muted) return;
-    const t0 = this.ctx.currentTime;
+    const t0 = this.ctx.currentTime + startOffset;
     const osc = this.ctx.createOscillator();
     const g = this.ctx.createGain();
     osc.type = type;
@@ -48,68 +92,122 @@ class SoundManager {
     g.gain.linearRampToValueAtTime(gain, t0 + attack);
     g.gain.linearRampToValueAtTime(0.0001, t0 + attack + duration + release);
     osc.connect(g);
-    g.connect(this.masterGain);
+    g.connect(this.sfxGain);
     osc.start(t0);
     osc.stop(t0 + attack + duration + release + 0.02);
   }
-  // Simple arpeggio/chord helper
-  arpeggio(freqs = [440, 554, 659], step = 0.07, type = "sine") {
-    freqs.forEach((f, i) =>
+  // Notes laid out on the audio clock: [{ freq, at, duration?, gain? }]
+  sequence(notes, { type = "sine", duration = 0.12, gain = 0.5 } = {}) {
+    notes.forEach((n) =>
       this.tone({
-        freq: f,
-        duration: 0.12,
+        freq: n.freq,
+        duration: n.duration || duration,
         type,
-        gain: 0.5,
+        gain: n.gain || gain,
         attack: 0.004,
         release: 0.04,
-        startOffset: i * step,
+        startOffset: n.at,
       })
     );
   }
-  // Noise burst (explosions)
-  noise({ duration = 0.25, color = "white", gain = 0.5 } = {}) {
-    if (!this.ctx || this.muted) return;
+  // Simple arpeggio helper: one note every `step` seconds
+  arpeggio(freqs = [440, 554, 659], step = 0.07, type = "sine") {
+    this.sequence(
+      freqs.map((freq, i) => ({ freq, at: i * step })),
+      { type }
+    );
+  }
+  // One second of white / pink / brown noise, generated once per colour
+  _noiseBuffer(color) {
+    if (this._noiseCache[color]) return this._noiseCache[color];
     const sr = this.ctx.sampleRate;
-    const len = Math.floor(sr * duration);
-    const buffer = this.ctx.createBuffer(1, len, sr);
+    const buffer = this.ctx.createBuffer(1, sr, sr);
     const data = buffer.getChannelData(0);
-    for (let i = 0; i < len; i++) {
-      // white noise; could color with simple filter
-      data[i] = (Math.random() * 2 - 1) * (1 - i / len);
+    let b0 = 0,
+      b1 = 0,
+      b2 = 0,
+      last = 0;
+    for (let i = 0; i < sr; i++) {
+      const white = Math.random() * 2 - 1;
+      if (color === "pink") {
+        // Paul Kellet's economy pink filter
+        b0 = 0.99765 * b0 + white * 0.099046;
+        b1 = 0.963 * b1 + white * 0.2965164;
+        b2 = 0.57 * b2 + white * 1.0526913;
+        data[i] = (b0 + b1 + b2 + white * 0.1848) * 0.25;
+      } else if (color === "brown") {
+        last = (last + 0.02 * white) / 1.02;
+        data[i] = last * 3.5;
+      } else {
+        data[i] = white;
+      }
     }
+    this._noiseCache[color] = buffer;
+    return buffer;
+  }
+  // Noise burst (explosions)
+  noise({
+    duration = 0.25,
+    color = "white",
+    gain = 0.5,
+    cutoff = 1200,
+    startOffset = 0,
+  } = {}) {
+    if (!this.ctx || this.muted) return;
+    const t0 = this.ctx.currentTime + startOffset;
     const src = this.ctx.createBufferSource();
-    src.buffer = buffer;
+    src.buffer = this._noiseBuffer(color);
     const g = this.ctx.createGain();
-    g.gain.value = gain;
+    g.gain.setValueAtTime(gain, t0);
+    g.gain.linearRampToValueAtTime(0.0001, t0 + duration);
     const filter = this.ctx.createBiquadFilter();
     filter.type = "lowpass";
-    filter.frequency.value = 1200;
+    filter.frequency.value = cutoff;
     src.connect(filter);
     filter.connect(g);
-    g.connect(this.masterGain);
-    src.start();
+    g.connect(this.sfxGain);
+    src.start(t0, Math.random() * 0.5);
+    src.stop(t0 + duration + 0.02);
   }
 
   // High-level SFX
   sfxClick() {
     this.tone({ freq: 520, duration: 0.05, type: "square", gain: 0.3 });
   }
-  sfxValidPop() {
-    this.tone({ freq: 740, duration: 0.08, type: "triangle", gain: 0.45 });
+  // Bigger groups pop higher
+  sfxValidPop(groupSize = 2) {
+    const freq = this.scaleFreq(587, Math.min(10, groupSize - 2));
+    this.tone({ freq, duration: 0.08, type: "triangle", gain: 0.45 });
   }
   sfxInvalid() {
     this.tone({ freq: 180, duration: 0.12, type: "sawtooth", gain: 0.35 });
-    setTimeout(
-      () =>
-        this.tone({ freq: 140, duration: 0.1, type: "sawtooth", gain: 0.3 }),
-      70
-    );
+    this.tone({
+      freq: 140,
+      duration: 0.1,
+      type: "sawtooth",
+      gain: 0.3,
+      startOffset: 0.07,
+    });
   }
-  sfxExplosion() {
-    this.noise({ duration: 0.22, gain: 0.6 });
+  // Small groups crackle, big ones rumble
+  sfxExplosion(groupSize = 2) {
+    const big = Math.min(1, (groupSize - 2) / 8);
+    this.noise({
+      duration: 0.22 + big * 0.25,
+      color: big > 0.5 ? "brown" : groupSize > 3 ? "pink" : "white",
+      gain: 0.6,
+      cutoff: 1400 - big * 800,
+    });
   }
-  sfxScoreChime() {
-    this.arpeggio([660, 880, 990], 0.06, "triangle");
+  // Chime climbs with group size and again with each combo step, adding a
+  // note per combo level so long chains sound like a run
+  sfxScoreChime(groupSize = 2, combo = 0) {
+    const root = Math.min(8, groupSize - 2) + Math.min(6, combo);
+    const notes = [0, 2, 4]
+      .concat(combo > 1 ? [5] : [])
+      .concat(combo > 3 ? [7] : [])
+      .map((d, i) => ({ freq: this.scaleFreq(523, root + d), at: i * 0.06 }));
+    this.sequence(notes, { type: "triangle" });
   }
   sfxLevelUp() {
     this.arpeggio([523, 659, 784, 1046], 0.08, "sine");
@@ -125,15 +223,40 @@ class SoundManager {
   }
 }
 
+const POWER_UP_TYPES = ["⚡", "💣", "🎯", "⭐", "🔥"];
+const IDLE_HINT_MS = 8000; // no move for this long shows a hint
+const HINT_REWARD = 2; // hints granted by a rewarded video
+const REVIVE_SECONDS = 20; // rewarded "continue" after running out of time
+const REVIVE_MOVES = 5; // ... or out of moves
+
 class DigitDestroyer {
-  constructor() {
-    // Core state
-    this.grid = [];
-    this.gridSize = 8;
-    this.score = 0;
-    this.timeLeft = 60;
-    this.combo = 0;
-    this.level = 1;
+  constructor({
+    seed,
+    daily = null,
+    replay = null,
+    mode = "classic",
+    level = null,
+  } = {}) {
+    // Rules + board state live in the engine; this class renders it.
+    // Board/refills/power-up effects share its RNG; timed spawns get their own.
+    // Daily boards are always the standard length so scores compare fairly
+    this.mode = GameModes.get(mode);
+    this.levelDef = level ? Levels.get(level) : null; // campaign level
+    this.engine = new GameEngine({
+      seed,
+      timeLimit: daily ? 60 : Settings.get("gameLength"),
+      ...this.mode.engine,
+      ...(this.levelDef ? Levels.engineOptions(this.levelDef) : {}),
+    });
+    this.powerUpRng = this.engine.rng.derive("powerups");
+    this.daily = daily; // date key when playing the Daily Challenge
+    this._dailyOfficial = null; // the day's scored attempt? (first move)
+    this._timeLimit = this.engine.timeLimit; // this game's, fixed at start
+    this.recorder = new ReplayRecorder();
+    this.playback = null; // ReplayPlayer when watching a replay
+    this.lastReplayCode = null;
+
+    // UI state
     this.isPlaying = false;
     this.isPaused = false;
     this.selectedCells = [];
@@ -142,13 +265,77 @@ class DigitDestroyer {
     this.powerUps = [];
     this._startCooldown = false;
     this._lastTickPlayed = null;
+    this._busyUntil = 0; // board animating; clicks wait so DOM and engine agree
+    this._lastMoveAt = 0; // idle auto-hint counts from here
+    this._hintTimer = null;
+    this._spawnTimer = null;
+    this._resultPending = false; // game over, result waits on a reward offer
+    this._interstitial = null; // the result's interstitial, until it closes
+    this._revived = false; // one rewarded continue per game
+    this._replayTime = 0;
+
+    // Touch: tap previews, a second tap on the same group destroys it
+    this.touchMode =
+      !!window.matchMedia && window.matchMedia("(pointer: coarse)").matches;
+    this._longPressTimer = null;
+    this._longPressFired = false;
+
+    // Keyboard / gamepad grid cursor ({ row, col } once first used)
+    this.cursor = null;
+
+    // Accessibility: no shake/particles/shockwaves when motion is reduced
+    this.reducedMotion = false;
+    this._announceQueue = null;
+    this.watchReducedMotion();
 
     // SOUND
     this.sound = new SoundManager();
+    this.music = new MusicEngine(this.sound);
 
-    this.initializeGrid();
+    this.renderGrid();
     this.bindEvents();
     this.addMouseHoverEffects();
+    this.input = new InputController((action) => this.handleAction(action));
+    this.showModeBadge();
+    this.bindSettings();
+    if (replay) this.startPlayback(replay);
+    this.updateDisplay();
+  }
+
+  // A new game length takes over the clock for the next game (and shows
+  // at once between games); daily, level and untimed games keep their own
+  bindSettings() {
+    Settings.onChange("gameLength", (seconds) => {
+      if (!this.daily && !this.levelDef && this.engine.timeLimit !== null)
+        this.engine.timeLimit = seconds;
+      if (!this.isPlaying) {
+        this.engine.timeLeft = this.engine.timeLimit;
+        this.updateDisplay();
+      }
+    });
+  }
+
+  // Read-only views of engine state
+  get grid() {
+    return this.engine.grid;
+  }
+  get rows() {
+    return this.engine.rows;
+  }
+  get cols() {
+    return this.engine.cols;
+  }
+  get score() {
+    return this.engine.score;
+  }
+  get timeLeft() {
+    return this.engine.timeLeft;
+  }
+  get combo() {
+    return this.engine.combo;
+  }
+  get level() {
+    return this.engine.level;
   }
 
   // Element cache
@@ -158,41 +345,197 @@ class DigitDestroyer {
       startBtn: document.getElementById("startBtn"),
       pauseBtn: document.getElementById("pauseBtn"),
       resetBtn: document.getElementById("resetBtn"),
+      shuffleBtn: document.getElementById("shuffleBtn"),
+      hintBtn: document.getElementById("hintBtn"),
       comboDisplay: document.getElementById("comboDisplay"),
       comboMultiplier: document.getElementById("comboMultiplier"),
       score: document.getElementById("score"),
       timer: document.getElementById("timer"),
+      timerLabel: document.getElementById("timerLabel"),
       level: document.getElementById("level"),
+      modeBadge: document.getElementById("modeBadge"),
+      nextLevelBtn: document.getElementById("nextLevelBtn"),
+      rewardOffers: document.getElementById("rewardOffers"),
       gameOver: document.getElementById("gameOver"),
       finalScore: document.getElementById("finalScore"),
+      gameOverPlayer: document.getElementById("gameOverPlayer"),
+      newBest: document.getElementById("newBest"),
+      gameOverScores: document.getElementById("gameOverScores"),
+      continueBtn: document.getElementById("continueBtn"),
+      continueInfo: document.getElementById("continueInfo"),
+      replayBar: document.getElementById("replayBar"),
+      replayPlayBtn: document.getElementById("replayPlayBtn"),
+      replayStepBtn: document.getElementById("replayStepBtn"),
+      replayProgress: document.getElementById("replayProgress"),
       fxLayer: document.getElementById("specialEffects"),
+      announcer: document.getElementById("srAnnouncer"),
     };
   }
 
   initializeGrid() {
+    this.engine.newBoard();
+    this.renderGrid();
+  }
+
+  cellEl(row, col) {
+    return document.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+  }
+
+  renderGrid() {
     const { grid } = this.els();
     grid.innerHTML = "";
-    this.grid = [];
-    for (let row = 0; row < this.gridSize; row++) {
-      this.grid[row] = [];
-      for (let col = 0; col < this.gridSize; col++) {
-        const digit = Math.floor(Math.random() * 10);
-        this.grid[row][col] = digit;
+    const root = document.documentElement.style;
+    root.setProperty("--grid-rows", this.rows);
+    root.setProperty("--grid-cols", this.cols);
+    grid.setAttribute("role", "grid");
+    grid.setAttribute("aria-label", "Digit board");
+    grid.setAttribute("aria-rowcount", this.rows);
+    grid.setAttribute("aria-colcount", this.cols);
+    const first = this.engine.cells()[0];
+    for (let row = 0; row < this.rows; row++) {
+      // display: contents, so cells still sit directly in the CSS grid
+      const rowEl = document.createElement("div");
+      rowEl.className = "grid-row";
+      rowEl.setAttribute("role", "row");
+      rowEl.setAttribute("aria-rowindex", row + 1);
+      grid.appendChild(rowEl);
+      for (let col = 0; col < this.cols; col++) {
         const cell = document.createElement("div");
-        cell.className = `digit-cell digit-${digit}`;
-        cell.textContent = digit;
+        if (this.engine.isHole(row, col)) {
+          // Keeps its slot in the CSS grid; no data-row, so cellEl skips it
+          cell.className = "grid-hole";
+          cell.setAttribute("aria-hidden", "true");
+          rowEl.appendChild(cell);
+          continue;
+        }
+        this.paintCell(cell, row, col);
         cell.dataset.row = row;
         cell.dataset.col = col;
+        cell.setAttribute("role", "gridcell");
+        cell.setAttribute("aria-colindex", col + 1);
+        cell.tabIndex = row === first.row && col === first.col ? 0 : -1;
+        cell.addEventListener("focus", () => this.focusCell(row, col));
         cell.addEventListener("click", (e) => this.handleCellClick(e));
-        cell.addEventListener("mouseenter", (e) => this.handleCellHover(e));
-        cell.addEventListener("mouseleave", () => this.handleCellLeave());
-        grid.appendChild(cell);
+        cell.addEventListener("pointerenter", (e) => this.handleCellHover(e));
+        cell.addEventListener("pointerleave", (e) => this.handleCellLeave(e));
+        cell.addEventListener("pointerdown", (e) => this.startLongPress(e));
+        cell.addEventListener("pointerup", () => this.cancelLongPress());
+        cell.addEventListener("pointercancel", () => this.cancelLongPress());
+        rowEl.appendChild(cell);
         setTimeout(
           () => cell.classList.add("spawning"),
-          (row * this.gridSize + col) * 50
+          (row * this.cols + col) * 50
         );
       }
     }
+    this.updateCellLabels();
+    if (this.cursor) this.showCursor();
+  }
+
+  // Digit + special tile look. dataset.kind lets updateGridDisplay skip
+  // cells that haven't changed.
+  paintCell(cell, row, col) {
+    const digit = this.grid[row][col];
+    const special = this.engine.specials[row][col];
+    const classes = ["digit-cell"];
+    if (special && special.type === "wild") classes.push("special-wild");
+    else classes.push(`digit-${digit}`);
+    if (special) classes.push("special", `special-${special.type}`);
+    if (special && special.hits === 1) classes.push("cracked");
+    cell.className = classes.join(" ");
+    cell.textContent = special && special.type === "wild" ? "★" : digit;
+    cell.dataset.kind = this.cellKind(row, col);
+  }
+
+  cellKind(row, col) {
+    const special = this.engine.specials[row][col];
+    return special
+      ? `${this.grid[row][col]}:${special.type}:${special.hits || 0}`
+      : String(this.grid[row][col]);
+  }
+
+  describeCell(row, col) {
+    const special = this.engine.specials[row][col];
+    const digit = `digit ${this.grid[row][col]}`;
+    if (!special) return digit;
+    switch (special.type) {
+      case "wild":
+        return "wildcard";
+      case "bomb":
+        return `${digit}, bomb`;
+      case "x2":
+        return `${digit}, double score`;
+      case "lock":
+        return `${digit}, locked (${special.hits} to break)`;
+    }
+    return digit;
+  }
+
+  // "row 3, column 5, digit 7, group of 4" for screen readers
+  updateCellLabels() {
+    const sizes = {}; // a wildcard can sit in two groups; report the larger
+    this.engine.components().forEach((group) => {
+      group.forEach(({ row, col }) => {
+        const key = `${row}-${col}`;
+        sizes[key] = Math.max(sizes[key] || 0, group.length);
+      });
+    });
+    this.engine.cells().forEach(({ row, col }) => {
+      const cell = this.cellEl(row, col);
+      if (!cell || this.grid[row][col] === null) return;
+      const n = sizes[`${row}-${col}`] || 0;
+      const size = n >= 2 ? `group of ${n}` : "no group";
+      cell.setAttribute(
+        "aria-label",
+        `row ${row + 1}, column ${col + 1}, ${this.describeCell(row, col)}, ${size}`
+      );
+    });
+  }
+
+  // Screen-reader announcement through the live region. Messages from the
+  // same move (score, combo, level-up) are read as one sentence.
+  announce(message) {
+    const { announcer } = this.els();
+    if (!announcer) return;
+    if (this._announceQueue) {
+      this._announceQueue.push(message);
+      return;
+    }
+    this._announceQueue = [message];
+    announcer.textContent = "";
+    // Cleared first so repeating the same message is still read out
+    setTimeout(() => {
+      announcer.textContent = this._announceQueue.join(". ");
+      this._announceQueue = null;
+    }, 50);
+  }
+
+  watchReducedMotion() {
+    if (!window.matchMedia) return;
+    const query = window.matchMedia("(prefers-reduced-motion: reduce)");
+    const apply = () => this.setReducedMotion(query.matches);
+    apply();
+    if (query.addEventListener) query.addEventListener("change", apply);
+  }
+
+  setReducedMotion(on) {
+    this.reducedMotion = on;
+    document.body.classList.toggle("reduced-motion", on);
+  }
+
+  showModeBadge() {
+    const badge = document.getElementById("modeBadge");
+    if (!badge) return;
+    const { icon, name, id, targetScore } = this.mode;
+    if (this.levelDef) this.updateObjective();
+    else if (this.daily)
+      badge.textContent = `📅 Daily Challenge · ${this.daily}`;
+    else if (id !== "classic")
+      badge.textContent =
+        `${icon} ${name}` +
+        (targetScore ? ` · ${targetScore.toLocaleString()} pts` : "");
+    else return;
+    badge.classList.remove("hidden");
   }
 
   bindEvents() {
@@ -216,12 +559,24 @@ class DigitDestroyer {
     document.head.appendChild(style);
   }
 
+  // Sparkle trail follows the mouse, or a finger swiping across the board
   addMouseHoverEffects() {
     const { grid } = this.els();
-    grid.addEventListener("mousemove", (e) => {
+    grid.classList.toggle("touch-mode", this.touchMode);
+    grid.addEventListener("pointermove", (e) => {
       if (!this.isPlaying || this.isPaused) return;
       this.createSparkle(e.clientX, e.clientY);
     });
+    // Long-press would otherwise open the browser's context menu
+    grid.addEventListener("contextmenu", (e) => {
+      if (this.touchMode) e.preventDefault();
+    });
+    if (this.touchMode) {
+      document.querySelectorAll(".hint-preview").forEach((el) => {
+        el.innerHTML =
+          "<strong>Tap</strong> to preview, <strong>tap again</strong> to destroy (hold for points)";
+      });
+    }
   }
 
   // ---------- Controls ----------
@@ -245,13 +600,20 @@ class DigitDestroyer {
 
   startGame() {
     const { startBtn, pauseBtn, gameOver } = this.els();
+    this.settleResult();
+    this.abandonDaily();
 
     this.isPlaying = true;
+    this._revived = false;
+    this._dailyOfficial = null;
+    this._timeLimit = this.engine.timeLimit;
     this.isPaused = false;
-    this.timeLeft = 60;
-    this.score = 0;
-    this.combo = 0;
-    this.level = 1;
+    this.engine.start();
+    if (this.daily) this.restartDailyBoard();
+    this.recorder.start(this.engine, this.mode.id, this.levelNumber);
+    SavedSession.clear(); // a fresh game replaces any unfinished one
+    AdPacing.gameStarted();
+    this.hideSessionOffer();
 
     startBtn.textContent = "Restart";
     startBtn.disabled = false;
@@ -268,6 +630,14 @@ class DigitDestroyer {
     // SFX
     this.sound.sfxClick();
     this.sound.sfxLevelUp(); // subtle start fanfare
+    this.music.start(this.level);
+  }
+
+  // A daily game dropped mid-way keeps its score so far if it was the
+  // day's scored attempt
+  abandonDaily() {
+    if (this.daily && this._dailyOfficial && this.isPlaying)
+      DailyChallenge.recordAttempt(this.score, this.daily, true);
   }
 
   pauseGame() {
@@ -277,28 +647,32 @@ class DigitDestroyer {
       this._startTimer();
       pauseBtn.textContent = "Pause";
       this.sound.sfxClick();
+      this.music.resume();
     } else {
       this.isPaused = true;
       this._stopTimer();
       pauseBtn.textContent = "Resume";
       this.sound.sfxClick();
+      this.music.pause();
+      this.saveSession();
     }
   }
 
   resetGame() {
+    this.settleResult();
+    this.abandonDaily();
     showInstructions();
-    gameCacheAd();
+    ads.cacheAll();
     const { startBtn, pauseBtn, comboDisplay, gameOver } = this.els();
     this.isPlaying = false;
     this.isPaused = false;
-    this.score = 0;
-    this.timeLeft = 60;
-    this.combo = 0;
-    this.level = 1;
+    this.engine.start();
+    SavedSession.clear();
     this.selectedCells = [];
     this.clearPreview();
     this.clearPowerUps();
     this._stopTimer();
+    this.music.stop();
 
     startBtn.disabled = false;
     startBtn.textContent = "Start Game";
@@ -317,33 +691,66 @@ class DigitDestroyer {
     }
   }
 
-  shuffleGrid() {
+  // Every daily attempt starts from the day's first board and refill sequence
+  restartDailyBoard() {
+    this.engine.reseed();
+    this.powerUpRng = this.engine.rng.derive("powerups");
     this.initializeGrid();
-    this.updateDisplay();
+  }
 
+  // Shuffle button: the same digits rearranged, limited per game and paid
+  // for as the mode says (seconds or a move). A free one (rewarded video)
+  // skips both.
+  shuffleGrid({ free = false } = {}) {
+    if (!free && !this.engine.useShuffle()) {
+      this.showPowerUpMessage("No shuffles left!");
+      this.sound.sfxInvalid();
+      return;
+    }
+    this.recorder.log(this.engine, "s", ...(free ? [1] : []));
+    this._lastMoveAt = Date.now();
+    const { time = 0, moves = 0 } = (!free && this.mode.shuffleCost) || {};
+    if (time && this.timeLeft !== null)
+      this.engine.timeLeft = Math.max(1, this.timeLeft - time);
+    else if (time) this.engine.elapsed += time;
+    const outOfMoves = moves ? this.engine.useMove() : false;
+
+    this.engine.shuffle();
+    this.clearPreview();
+    this._busyUntil = Date.now() + 600;
+    this.showReshuffle();
     this.sound.sfxClick();
+    this.afterMove({ outOfMoves });
+  }
+
+  // Board flips over and comes back rearranged (engine already shuffled)
+  showReshuffle() {
+    const { grid } = this.els();
+    grid.classList.add("reshuffling");
+    setTimeout(() => this.updateGridDisplay(), 300);
+    setTimeout(() => grid.classList.remove("reshuffling"), 600);
   }
 
   _startTimer() {
     this._stopTimer();
     this._lastTickPlayed = null;
+    this._lastMoveAt = Date.now(); // idle time doesn't count while paused
     this.timer = setInterval(() => {
       if (!this.isPaused) {
-        this.timeLeft--;
+        const outOfTime = this.engine.tick();
+        const countdown = this.timeLeft !== null;
+        this.music.setUrgent(countdown && this.timeLeft <= 10);
         // Tick SFX for last 10 seconds
-        if (this.timeLeft <= 10 && this.timeLeft >= 0) {
-          if (isRVReady) {
-            showAdMessage();
-          } else {
-            console.log("Rewarded video not ready");
-          }
+        if (countdown && this.timeLeft <= 10 && this.timeLeft >= 0) {
+          if (this.timeLeft === 10) this.showRewardOffers("playing");
           if (this._lastTickPlayed !== this.timeLeft) {
             this.sound.sfxTick();
             this._lastTickPlayed = this.timeLeft;
           }
         }
         this.updateDisplay();
-        if (this.timeLeft <= 0) this.endGame();
+        if (outOfTime) this.endGame();
+        else this.checkIdleHint();
       }
     }, 1000);
   }
@@ -354,64 +761,328 @@ class DigitDestroyer {
   }
 
   // ---------- Gameplay ----------
+  canInteract() {
+    return (
+      this.isPlaying &&
+      !this.isPaused &&
+      !this.playback &&
+      Date.now() >= this._busyUntil
+    );
+  }
+
   handleCellClick(event) {
-    if (!this.isPlaying || this.isPaused) return;
+    if (!this.canInteract()) return;
 
     const row = parseInt(event.target.dataset.row, 10);
     const col = parseInt(event.target.dataset.col, 10);
-    const digit = this.grid[row][col];
+    if (this.touchMode) {
+      // The finger lifting after a long-press isn't a tap
+      if (this._longPressFired) {
+        this._longPressFired = false;
+        return;
+      }
+      this.handleCellTap(row, col);
+      return;
+    }
+    this.applyClick(row, col);
+  }
+
+  // ---------- Keyboard / gamepad ----------
+  handleAction(action) {
+    if (this.playback) return;
+    this.sound.resumeIfNeeded();
+    switch (action) {
+      case "up":
+        this.moveCursor(-1, 0);
+        break;
+      case "down":
+        this.moveCursor(1, 0);
+        break;
+      case "left":
+        this.moveCursor(0, -1);
+        break;
+      case "right":
+        this.moveCursor(0, 1);
+        break;
+      case "select":
+        this.selectAtCursor();
+        break;
+      case "pause":
+        if (this.isPlaying) this.pauseGame();
+        break;
+      case "reset":
+        this.resetGame();
+        break;
+      case "shuffle":
+        if (this.canInteract()) this.shuffleGrid();
+        break;
+      case "powerup":
+        this.activateNextPowerUp();
+        break;
+      case "hint":
+        this.showHint();
+        break;
+    }
+  }
 
-    const connectedCells = this.findConnectedCells(row, col, digit);
-    // console.log(JSON.stringify(connectedCells.length));
+  // First press only reveals the cursor. Steps jump over holes and stop
+  // at the edge of the board.
+  moveCursor(dr, dc) {
+    if (!this.cursor) {
+      this.cursor = { ...this.engine.cells()[0] };
+    } else if (dr || dc) {
+      let { row, col } = this.cursor;
+      do {
+        row += dr;
+        col += dc;
+      } while (this.engine.isHole(row, col));
+      if (this.engine.inBounds(row, col)) this.cursor = { row, col };
+    }
+    this.showCursor();
+  }
 
-    if (connectedCells.length >= 2) {
-      this.createMassiveExplosion(connectedCells);
-      this.destroyCells(connectedCells);
-      this.calculateScore(connectedCells.length);
+  showCursor() {
+    document.querySelectorAll(".cursor-focus").forEach((el) => {
+      el.classList.remove("cursor-focus");
+      el.tabIndex = -1;
+    });
+    const { row, col } = this.cursor;
+    const cell = this.cellEl(row, col);
+    if (cell) {
+      // Roving tabindex: real focus follows the cursor for screen readers
+      cell.classList.add("cursor-focus");
+      cell.tabIndex = 0;
+      if (document.activeElement !== cell) cell.focus({ preventScroll: true });
+    }
+    if (this.isPlaying && !this.isPaused) this.showGroupPreview(row, col);
+  }
+
+  // Tabbing (or a screen reader) onto a cell moves the cursor there
+  focusCell(row, col) {
+    if (this.cursor && this.cursor.row === row && this.cursor.col === col)
+      return;
+    this.cursor = { row, col };
+    this.showCursor();
+  }
+
+  // Select also confirms whichever overlay is up
+  selectAtCursor() {
+    const { gameOver } = this.els();
+    const instructions = document.querySelector(".instructions-container");
+    if (gameOver.style.display === "flex") {
+      startNewGame();
+    } else if (instructions && instructions.style.display !== "none") {
+      this.handleStartButton();
+    } else if (!this.cursor) {
+      this.moveCursor(0, 0);
+    } else if (this.canInteract()) {
+      this.applyClick(this.cursor.row, this.cursor.col);
+    }
+  }
+
+  activateNextPowerUp() {
+    const next = this.powerUps[0];
+    if (!next || !this.isPlaying || this.isPaused) return;
+    this.activatePowerUp(next.dataset.type, next);
+    this.sound.sfxPowerUp();
+  }
+
+  // ---------- Touch ----------
+  handleCellTap(row, col) {
+    const previewed = this.previewCells.some(
+      (c) => c.row === row && c.col === col
+    );
+    this.hideGroupInfo();
+    if (previewed) {
+      this.clearPreview();
+      this.applyClick(row, col);
+      return;
+    }
+    // Lone digits fail right away, same as a mouse click would
+    if (this.showGroupPreview(row, col).length < 2) this.applyClick(row, col);
+  }
+
+  startLongPress(event) {
+    if (!this.touchMode || !this.isPlaying || this.isPaused) return;
+    const cell = event.target;
+    const row = parseInt(cell.dataset.row, 10);
+    const col = parseInt(cell.dataset.col, 10);
+    this.cancelLongPress();
+    this._longPressFired = false;
+    this._longPressTimer = setTimeout(() => {
+      this._longPressFired = true;
+      const group = this.showGroupPreview(row, col);
+      this.showGroupInfo(cell, group);
+    }, 450);
+  }
+
+  cancelLongPress() {
+    if (this._longPressTimer) clearTimeout(this._longPressTimer);
+    this._longPressTimer = null;
+  }
+
+  showGroupInfo(cell, group) {
+    this.hideGroupInfo();
+    const rect = cell.getBoundingClientRect();
+    const info = document.createElement("div");
+    info.className = "group-info";
+    info.id = "groupInfo";
+    if (group.length >= 2) {
+      const { cells, multiplier } = this.engine.expandClear(group);
+      const points = this.engine.projectScore(cells.length) * multiplier;
+      info.textContent = `Group of ${group.length} · +${points} pts`;
+    } else {
+      info.textContent = "No group";
+    }
+    info.style.left = `${rect.left + rect.width / 2}px`;
+    info.style.top = `${rect.top}px`;
+    document.body.appendChild(info);
+    setTimeout(() => info.remove(), 1500);
+  }
+
+  hideGroupInfo() {
+    const info = document.getElementById("groupInfo");
+    if (info) info.remove();
+  }
+
+  // Shared by live clicks and replay playback. The engine resolves the
+  // whole click; this plays it back.
+  applyClick(row, col) {
+    this.recorder.log(this.engine, "c", row, col);
+    this._lastMoveAt = Date.now();
+    const move = this.engine.move(row, col);
+
+    if (move.valid) {
+      // Bombs in the group widen the clear; ×2 tiles multiply the score
+      const { group, cells, bombs, cracked, multiplier, points } = move;
+      this.createMassiveExplosion(cells);
+      this.showDestroyed(cells, cracked);
+      this.showScore(points, cells.length, multiplier);
       this.shakeScreen();
+      if (bombs.length) this.announce(`Bomb! ${cells.length} cells cleared`);
 
       // SFX
-      this.sound.sfxExplosion();
-      this.sound.sfxValidPop();
-
-      setTimeout(() => {
-        this.dropCells();
-        this.fillEmptySpaces();
-      }, 500);
-
-      if (this.score > this.level * 600 && this.level <= 15) {
-        this.level++;
-        this.createLevelUpEffect();
-        this.sound.sfxLevelUp();
-        this.updateDisplay();
+      this.sound.sfxExplosion(cells.length);
+      this.sound.sfxValidPop(group.length);
+
+      // Levels buy back time for big groups
+      const bonus = this.levelDef ? this.levelDef.timeBonus : 0;
+      if (bonus && group.length >= 5) {
+        this.engine.addTime(bonus);
+        this.announce(`+${bonus} seconds`);
       }
+
+      this.showRefill(move.filled);
     } else {
-      this.createInvalidSelectionEffect(event.target);
+      this.createInvalidSelectionEffect(row, col);
+      this.sound.sfxInvalid();
+    }
+    const { outOfMoves, leveledUp } = move;
+    this.afterMove({ invalid: !move.valid, outOfMoves, leveledUp });
+  }
+
+  // Every click, power-up and shuffle finishes here: level-ups (a click's
+  // comes decided from engine.move()), the HUD, then either the game ends
+  // or it's saved
+  afterMove({ leveledUp = this.engine.checkLevelUp(), ...ending } = {}) {
+    if (this.daily && this._dailyOfficial === null && !this.playback)
+      this._dailyOfficial = DailyChallenge.begin(this.daily);
+    if (leveledUp) this.celebrateLevelUp();
+    this.updateDisplay();
+    if (this.modeOver(ending)) this.endGame();
+    else this.saveSession();
+  }
+
+  // End conditions that follow a move (the clock running out is the
+  // timer's job)
+  modeOver({ invalid = false, outOfMoves = false } = {}) {
+    const { endOnInvalid, targetScore, deadBoard } = this.mode;
+    return (
+      (endOnInvalid && invalid) ||
+      outOfMoves ||
+      (!!targetScore && this.score >= targetScore) ||
+      (deadBoard === "end" &&
+        !this.engine.hasMoves() &&
+        this.engine.shufflesLeft === 0) ||
+      (!!this.levelDef &&
+        Levels.progress(this.levelDef.objective, this.engine).done)
+    );
+  }
+
+  // ---------- Hints ----------
+  // Pulses the best group with the preview styling. The button and the
+  // idle auto-hint share the mode's per-game allowance; only the button
+  // offers a top-up once it's spent
+  showHint({ auto = false } = {}) {
+    if (!this.canInteract()) return;
+    const best = this.engine.bestMove();
+    if (!best) return;
+    if (!this.engine.useHint()) {
+      if (!auto) this.offerHintReward();
+      return;
+    }
+    this._lastMoveAt = Date.now(); // one auto hint per idle spell
+    const { row, col } = best[0];
+    this.showGroupPreview(row, col);
+    const shown = this.previewCells;
+    clearTimeout(this._hintTimer);
+    this._hintTimer = setTimeout(() => {
+      if (this.previewCells === shown) this.clearPreview();
+    }, 3000);
+
+    this.announce(
+      `Hint: group of ${best.length} ${this.grid[row][col]}s at row ${
+        row + 1
+      }, column ${col + 1}`
+    );
+    this.sound.sfxClick();
+    this.updateDisplay();
+    this.saveSession();
+  }
+
+  checkIdleHint() {
+    if (!Settings.get("autoHint") || this.engine.hintsLeft === 0) return;
+    if (Date.now() - this._lastMoveAt >= IDLE_HINT_MS)
+      this.showHint({ auto: true });
+  }
+
+  // Out of hints: a rewarded video can top them up
+  offerHintReward() {
+    const offered = this.showRewardOffers("playing", {
+      title: "💡 Out of hints!",
+      only: ["hints"],
+    });
+    if (!offered) {
+      this.showPowerUpMessage("No hints left!");
       this.sound.sfxInvalid();
     }
   }
 
   handleCellHover(event) {
     if (!this.isPlaying || this.isPaused) return;
+    if (event.pointerType !== "mouse") return;
     const row = parseInt(event.target.dataset.row, 10);
     const col = parseInt(event.target.dataset.col, 10);
-    const digit = this.grid[row][col];
+    this.showGroupPreview(row, col);
+  }
 
+  handleCellLeave(event) {
+    this.cancelLongPress();
+    if (event.pointerType === "mouse") this.clearPreview();
+  }
+
+  // Highlights the group at (row, col) and returns it
+  showGroupPreview(row, col) {
     this.clearPreview();
-    const connectedCells = this.findConnectedCells(row, col, digit);
+    const connectedCells = this.engine.findGroup(row, col);
     if (connectedCells.length >= 2) {
       this.previewCells = connectedCells;
       connectedCells.forEach(({ row, col }) => {
-        const cell = document.querySelector(
-          `[data-row="${row}"][data-col="${col}"]`
-        );
+        const cell = this.cellEl(row, col);
         if (cell) cell.classList.add("preview-selected");
       });
     }
-  }
-
-  handleCellLeave() {
-    this.clearPreview();
+    return connectedCells;
   }
 
   clearPreview() {
@@ -425,6 +1096,7 @@ class DigitDestroyer {
   }
 
   createSparkle(x, y) {
+    if (this.reducedMotion || !Settings.get("sparkleTrail")) return;
     const sparkle = document.createElement("div");
     Object.assign(sparkle.style, {
       position: "fixed",
@@ -444,6 +1116,7 @@ class DigitDestroyer {
 
   // Effects + Scoring
   createMassiveExplosion(cells) {
+    if (this.reducedMotion) return;
     cells.forEach(({ row, col }, index) => {
       setTimeout(() => {
         const cell = document.querySelector(
@@ -453,7 +1126,8 @@ class DigitDestroyer {
         const rect = cell.getBoundingClientRect();
         const cx = rect.left + rect.width / 2;
         const cy = rect.top + rect.height / 2;
-        this.createParticleExplosion(cx, cy, 15);
+        const particles = Math.round(15 * Settings.get("particleDensity"));
+        if (particles) this.createParticleExplosion(cx, cy, particles);
         this.createShockwave(cx, cy);
       }, index * 100);
     });
@@ -532,14 +1206,16 @@ class DigitDestroyer {
     document.head.appendChild(style);
   }
 
-  createInvalidSelectionEffect(cell) {
+  createInvalidSelectionEffect(row, col) {
+    const cell = this.cellEl(row, col);
     cell.style.background = "linear-gradient(145deg, #e74c3c, #c0392b)";
     cell.style.animation = "invalidShake 0.5s ease-in-out";
     setTimeout(() => {
-      const digit = cell.textContent;
-      cell.className = `digit-cell digit-${digit}`;
+      // Repaint from the board, keeping special tiles' classes
+      if (cell.isConnected) this.paintCell(cell, row, col);
       cell.style.animation = "";
       cell.style.background = "";
+      if (this.cursor) this.showCursor();
     }, 500);
     this.addInvalidShakeAnimation();
   }
@@ -559,11 +1235,13 @@ class DigitDestroyer {
   }
 
   shakeScreen() {
+    if (this.reducedMotion || !Settings.get("screenShake")) return;
     document.body.classList.add("screen-shake");
     setTimeout(() => document.body.classList.remove("screen-shake"), 500);
   }
 
   createLevelUpEffect() {
+    this.announce(`Level up! Level ${this.level} of ${this.engine.maxLevel}`);
     const txt = document.createElement("div");
     txt.textContent = `LEVEL ${this.level}!`;
     Object.assign(txt.style, {
@@ -601,38 +1279,72 @@ class DigitDestroyer {
   // Power-ups
   spawnPowerUps() {
     if (!this.isPlaying) return;
-    if (Math.random() < 0.3) {
-      const types = ["⚡", "💣", "🎯", "⭐", "🔥"];
-      const t = types[Math.floor(Math.random() * types.length)];
-      const n = document.createElement("div");
-      n.className = "power-up";
-      n.textContent = t;
-      n.style.left = Math.random() * (window.innerWidth - 100) + "px";
-      n.style.top = Math.random() * (window.innerHeight - 100) + "px";
-      n.dataset.type = t;
-      n.addEventListener("click", () => {
-        this.activatePowerUp(t, n);
-        this.sound.sfxPowerUp();
-      });
-      const { fxLayer } = this.els();
-      fxLayer.appendChild(n);
-      this.powerUps.push(n);
-      setTimeout(() => {
-        if (n.parentNode) {
-          n.remove();
-          this.powerUps = this.powerUps.filter((p) => p !== n);
-        }
-      }, 5000);
+    const rng = this.powerUpRng;
+    if (rng.next() < 0.3) {
+      const t = rng.pick(this.mode.powerUps || POWER_UP_TYPES);
+      const left = rng.next() * (window.innerWidth - 100) + "px";
+      const top = rng.next() * (window.innerHeight - 100) + "px";
+      this.addPowerUp(t, left, top);
     }
-    setTimeout(() => this.spawnPowerUps(), 8000 + Math.random() * 7000);
+    clearTimeout(this._spawnTimer);
+    this._spawnTimer = setTimeout(
+      () => this.spawnPowerUps(),
+      8000 + rng.next() * 7000
+    );
+  }
+
+  // Rewarded power-up: mid-screen and around longer than a random spawn
+  spawnRewardPowerUp() {
+    const t = this.powerUpRng.pick(this.mode.powerUps || POWER_UP_TYPES);
+    const left = `${window.innerWidth / 2 - 30}px`;
+    const top = `${window.innerHeight / 2 - 30}px`;
+    this.addPowerUp(t, left, top, 10000);
+  }
+
+  // Power-ups vanish after `lifetime` ms; restored ones keep what was left
+  addPowerUp(t, left, top, lifetime = 5000) {
+    const n = document.createElement("div");
+    n.className = "power-up";
+    n.textContent = t;
+    n.style.left = left;
+    n.style.top = top;
+    n.dataset.type = t;
+    n.dataset.expires = Date.now() + lifetime;
+    n.tabIndex = 0;
+    n.setAttribute("role", "button");
+    n.addEventListener("click", () => {
+      this.activatePowerUp(t, n);
+      this.sound.sfxPowerUp();
+    });
+    n.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter" && e.key !== " ") return;
+      e.preventDefault();
+      this.activatePowerUp(t, n);
+      this.sound.sfxPowerUp();
+    });
+    const { fxLayer } = this.els();
+    fxLayer.appendChild(n);
+    this.powerUps.push(n);
+    setTimeout(() => {
+      if (n.parentNode) {
+        n.remove();
+        this.powerUps = this.powerUps.filter((p) => p !== n);
+      }
+    }, lifetime);
   }
 
   activatePowerUp(type, el) {
+    if (this.playback) return;
     el.remove();
     this.powerUps = this.powerUps.filter((p) => p !== el);
+    this.applyPowerUp(type);
+  }
+
+  applyPowerUp(type) {
+    this.recorder.log(this.engine, "p", POWER_UP_TYPES.indexOf(type));
     switch (type) {
       case "⚡":
-        this.timeLeft += 10;
+        this.engine.addTime(10);
         this.showPowerUpMessage("Time Boost! +10 seconds");
         break;
       case "💣":
@@ -640,82 +1352,47 @@ class DigitDestroyer {
         this.showPowerUpMessage("Mega Explosion!");
         break;
       case "🎯":
-        this.score += 500;
+        this.engine.addScore(500);
         this.showPowerUpMessage("Bonus Points! +500");
-        if (this.score > this.level * 600) {
-          this.level++;
-          this.createLevelUpEffect();
-          this.sound.sfxLevelUp();
-          this.updateDisplay();
-        }
         break;
       case "⭐":
-        this.combo += 3;
+        this.engine.boostCombo(3, 3000);
         this.showPowerUpMessage("Combo Boost! +3");
-        setTimeout(() => {
-          this.combo -= 3;
-          this.updateDisplay();
-        }, 3000);
+        setTimeout(() => this.updateDisplay(), 3000);
         break;
       case "🔥":
         this.clearRandomDigit();
         this.showPowerUpMessage("Digit Destroyer!");
         break;
     }
-    this.updateDisplay();
+    this.afterMove();
   }
 
   explodeRandomCells() {
-    const cells = [];
-    for (let i = 0; i < 8; i++) {
-      const row = Math.floor(Math.random() * this.gridSize);
-      const col = Math.floor(Math.random() * this.gridSize);
-      if (!cells.find((c) => c.row === row && c.col === col))
-        cells.push({ row, col });
-    }
+    const cells = this.engine.unlocked(this.engine.randomCells(8));
     this.createMassiveExplosion(cells);
     this.destroyCells(cells);
-    this.score += cells.length * 20;
-    if (this.score > this.level * 600) {
-      this.level++;
-      this.createLevelUpEffect();
-      this.sound.sfxLevelUp();
-      this.updateDisplay();
-    }
-    this.sound.sfxExplosion();
-    setTimeout(() => {
-      this.dropCells();
-      this.fillEmptySpaces();
-    }, 500);
+    this.engine.addScore(cells.length * 20);
+    this.sound.sfxExplosion(cells.length);
+    this.dropCells();
+    this.fillEmptySpaces();
   }
 
   clearRandomDigit() {
-    const target = Math.floor(Math.random() * 10);
-    const cells = [];
-    for (let r = 0; r < this.gridSize; r++) {
-      for (let c = 0; c < this.gridSize; c++) {
-        if (this.grid[r][c] === target) cells.push({ row: r, col: c });
-      }
-    }
+    const digit = this.engine.randomDigit();
+    const cells = this.engine.unlocked(this.engine.cellsWithDigit(digit));
     if (cells.length) {
       this.createMassiveExplosion(cells);
       this.destroyCells(cells);
-      this.score += cells.length * 15;
-      if (this.score > this.level * 600) {
-        this.level++;
-        this.createLevelUpEffect();
-        this.sound.sfxLevelUp();
-        this.updateDisplay();
-      }
-      this.sound.sfxExplosion();
-      setTimeout(() => {
-        this.dropCells();
-        this.fillEmptySpaces();
-      }, 500);
+      this.engine.addScore(cells.length * 15);
+      this.sound.sfxExplosion(cells.length);
+      this.dropCells();
+      this.fillEmptySpaces();
     }
   }
 
   showPowerUpMessage(msg) {
+    this.announce(msg);
     const el = document.createElement("div");
     el.textContent = msg;
     Object.assign(el.style, {
@@ -757,59 +1434,27 @@ class DigitDestroyer {
     this.powerUps = [];
   }
 
-  // Board mechanics
-  findConnectedCells(r, c, digit, visited = new Set()) {
-    const key = `${r}-${c}`;
-    if (visited.has(key)) return [];
-    if (this.grid[r][c] !== digit) return [];
-    visited.add(key);
-    const out = [{ row: r, col: c }];
-    const dirs = [
-      [-1, 0],
-      [1, 0],
-      [0, -1],
-      [0, 1],
-    ];
-    for (let [dr, dc] of dirs) {
-      const nr = r + dr,
-        nc = c + dc;
-      if (
-        nr >= 0 &&
-        nr < this.gridSize &&
-        nc >= 0 &&
-        nc < this.gridSize &&
-        this.grid[nr][nc] === digit
-      ) {
-        out.push(...this.findConnectedCells(nr, nc, digit, visited));
-      }
-    }
-    return out;
+  // Board mechanics (rules live in GameEngine; these add the visuals)
+  destroyCells(cells) {
+    this.showDestroyed(cells, this.engine.removeCells(cells));
   }
 
-  destroyCells(cells) {
+  showDestroyed(cells, cracked) {
     cells.forEach(({ row, col }) => {
       const cell = document.querySelector(
         `[data-row="${row}"][data-col="${col}"]`
       );
-      if (cell) {
-        cell.classList.add("destroying");
-        setTimeout(() => {
-          this.grid[row][col] = null;
-        }, 250);
-      }
+      if (cell) cell.classList.add("destroying");
+    });
+    // Locks show the hit right away (they only move once the board settles)
+    cracked.forEach(({ row, col }) => {
+      const cell = this.cellEl(row, col);
+      if (cell) this.paintCell(cell, row, col);
     });
   }
 
-  calculateScore(n) {
-    const base = n * 10;
-    const bonus = Math.max(0, (n - 2) * 15);
-    const comboBonus = this.combo * 5;
-    const levelBonus = this.level * 2;
-    const total = base + bonus + comboBonus + levelBonus;
-
-    this.score += total;
-    this.combo++;
-
+  // A scored group of n cells (engine.scoreGroup() already counted it)
+  showScore(total, n, multiplier = 1) {
     this.showFloatingScore(total);
     const { comboDisplay, comboMultiplier } = this.els();
     if (this.combo > 1) {
@@ -817,20 +1462,32 @@ class DigitDestroyer {
       comboMultiplier.textContent = this.combo;
     }
 
+    this.announce(
+      `+${total} points` +
+        (multiplier > 1 ? ` (x${multiplier})` : "") +
+        `, score ${this.score.toLocaleString()}` +
+        (this.combo > 1 ? `, combo x${this.combo}` : "")
+    );
+
     // SFX for scoring
-    this.sound.sfxScoreChime();
+    this.sound.sfxScoreChime(n, this.combo);
 
+    // Combo entries expire in the engine; refresh the HUD when they do
     setTimeout(() => {
-      if (this.combo > 0) {
-        this.combo = Math.max(0, this.combo - 1);
-        if (this.combo <= 1) comboDisplay.style.display = "none";
-      }
+      if (this.combo <= 1) comboDisplay.style.display = "none";
       this.updateDisplay();
     }, 3000);
 
     this.updateDisplay();
   }
 
+  celebrateLevelUp() {
+    this.music.setLevel(this.level);
+    this.createLevelUpEffect();
+    this.sound.sfxLevelUp();
+    this.updateDisplay();
+  }
+
   showFloatingScore(points) {
     const { fxLayer, score } = this.els();
     const tag = document.createElement("div");
@@ -845,71 +1502,290 @@ class DigitDestroyer {
   }
 
   dropCells() {
-    for (let col = 0; col < this.gridSize; col++) {
-      let write = this.gridSize - 1;
-      for (let row = this.gridSize - 1; row >= 0; row--) {
-        if (this.grid[row][col] !== null) {
-          if (row !== write) {
-            this.grid[write][col] = this.grid[row][col];
-            this.grid[row][col] = null;
-          }
-          write--;
-        }
-      }
-    }
+    this.engine.applyGravity();
   }
 
+  // The engine refills right away (so RNG draws follow move order); the
+  // DOM catches up once the explosion has played.
   fillEmptySpaces() {
-    setTimeout(() => {
-      let changed = false;
-      for (let r = 0; r < this.gridSize; r++) {
-        for (let c = 0; c < this.gridSize; c++) {
-          if (this.grid[r][c] === null) {
-            this.grid[r][c] = Math.floor(Math.random() * 10);
-            changed = true;
-          }
-        }
-      }
-      if (changed) this.updateGridDisplay();
-    }, 800);
+    this.showRefill(this.engine.refill());
+  }
+
+  showRefill(filled) {
+    if (!filled.length) return;
+    this.clearPreview(); // the previewed group no longer exists
+
+    // Dead board: reshuffle for free, unless the mode ends on it (modeOver)
+    // or leaves it to the player's shuffles
+    if (!this.engine.hasMoves() && this.mode.deadBoard !== "end") {
+      this.engine.shuffle();
+      this.showPowerUpMessage("No moves left, reshuffling!");
+      this._busyUntil = Date.now() + 1200;
+      setTimeout(() => this.showReshuffle(), 600);
+      return;
+    }
+    this._busyUntil = Date.now() + 600;
+    setTimeout(() => this.updateGridDisplay(), 600);
   }
 
   updateGridDisplay() {
-    const { grid } = this.els();
-    const cells = grid.children;
-    for (let i = 0; i < cells.length; i++) {
-      const row = Math.floor(i / this.gridSize);
-      const col = i % this.gridSize;
-      const digit = this.grid[row][col];
-      if (digit !== null && cells[i].textContent !== String(digit)) {
-        cells[i].textContent = digit;
-        cells[i].className = `digit-cell digit-${digit} falling`;
-        setTimeout(() => cells[i].classList.remove("falling"), 800);
+    this.engine.cells().forEach(({ row, col }) => {
+      const cell = this.cellEl(row, col);
+      if (
+        cell &&
+        this.grid[row][col] !== null &&
+        (cell.dataset.kind !== this.cellKind(row, col) ||
+          cell.classList.contains("destroying"))
+      ) {
+        this.paintCell(cell, row, col);
+        cell.classList.add("falling");
+        setTimeout(() => cell.classList.remove("falling"), 800);
       }
-    }
+    });
+    this.updateCellLabels();
+    if (this.cursor) this.showCursor();
   }
 
   updateDisplay() {
-    const { score, timer, level, comboMultiplier } = this.els();
+    const { score, timer, timerLabel, level, comboMultiplier } = this.els();
+    const hud = this.mode.hud(this.engine);
     score.textContent = this.score.toLocaleString();
-    timer.textContent = this.timeLeft;
-    level.textContent = `${this.level}/15`;
+    timerLabel.textContent = hud.label;
+    timer.textContent = hud.value;
+    level.textContent = this.levelDef
+      ? `${this.levelDef.level}/${Levels.list.length}`
+      : `${this.level}/${this.engine.maxLevel}`;
+    if (this.levelDef) this.updateObjective();
+    this.updateToolButtons();
     comboMultiplier.textContent = this.combo;
   }
 
+  // Campaign level number, or null outside the campaign
+  get levelNumber() {
+    return this.levelDef ? this.levelDef.level : null;
+  }
+
+  // The badge doubles as the level's objective with live progress
+  updateObjective() {
+    const { modeBadge } = this.els();
+    if (!modeBadge) return;
+    const { level, objective } = this.levelDef;
+    const { current, target } = Levels.progress(objective, this.engine);
+    modeBadge.textContent = `🗺️ Level ${level} · ${Levels.describe(
+      objective
+    )} (${current}/${target})`;
+  }
+
+  // Shuffle / hint buttons show uses left; shuffle pulses when the board is
+  // nearly out of moves. Hint stays enabled at 0 so it can offer an ad.
+  updateToolButtons() {
+    const { shuffleBtn, hintBtn } = this.els();
+    const label = (btn, icon, name, left) => {
+      btn.textContent = left === null ? icon : `${icon} ${left}`;
+      btn.setAttribute(
+        "aria-label",
+        left === null ? name : `${name}, ${left} left`
+      );
+    };
+    const shuffles = this.engine.shufflesLeft;
+    label(shuffleBtn, "🔄", "Shuffle", shuffles);
+    shuffleBtn.disabled = shuffles === 0;
+    shuffleBtn.classList.toggle(
+      "suggested",
+      this.isPlaying && shuffles !== 0 && this.engine.movesAvailable() <= 2
+    );
+    label(hintBtn, "💡", "Hint", this.engine.hintsLeft);
+  }
+
+  // ---------- Saved session ----------
+  // Everything needed to continue this exact game later (see SavedSession)
+  saveSession() {
+    if (!this.isPlaying || this.playback) return;
+    const now = Date.now();
+    SavedSession.save({
+      daily: this.daily,
+      mode: this.mode.id,
+      level: this.levelNumber,
+      revived: this._revived,
+      rewardedVideos: AdPacing.rewardedThisGame,
+      dailyOfficial: this._dailyOfficial,
+      timeLimit: this._timeLimit,
+      engine: this.engine.serialize(),
+      powerUpRngState: this.powerUpRng.state,
+      powerUps: this.powerUps.map((el) => ({
+        type: el.dataset.type,
+        left: el.style.left,
+        top: el.style.top,
+        remaining: Math.max(0, Number(el.dataset.expires) - now),
+      })),
+      replay: this.recorder.replay,
+      replayElapsed: this.recorder.elapsed(),
+    });
+  }
+
+  // The mode's HUD clock slot ("Time: 42", "Moves: 12", "Groups: 9")
+  hudText(engine = this.engine) {
+    const { label, value } = this.mode.hud(engine);
+    return `${label}: ${value}`;
+  }
+
+  offerSession(saved) {
+    const { continueBtn, continueInfo } = this.els();
+    const { score, level } = saved.engine;
+    const clock = this.hudText(this.engine.preview(saved.engine));
+    continueInfo.textContent = `Score ${score.toLocaleString()} · Level ${level} · ${clock}`;
+    continueInfo.classList.remove("hidden");
+    continueBtn.classList.remove("hidden");
+    continueBtn.addEventListener("click", async () => {
+      await this.sound.resumeIfNeeded();
+      this.resumeSession(saved);
+    });
+  }
+
+  hideSessionOffer() {
+    const { continueBtn, continueInfo } = this.els();
+    continueBtn.classList.add("hidden");
+    continueInfo.classList.add("hidden");
+  }
+
+  resumeSession(saved) {
+    const { startBtn, pauseBtn, gameOver, comboDisplay } = this.els();
+    this.engine.restore(saved.engine);
+    this._revived = !!saved.revived;
+    AdPacing.gameStarted(saved.rewardedVideos || 0);
+    this._dailyOfficial =
+      saved.dailyOfficial === undefined ? null : saved.dailyOfficial;
+    if (saved.timeLimit !== undefined) this._timeLimit = saved.timeLimit;
+    this.powerUpRng = this.engine.rng.derive("powerups");
+    this.powerUpRng.state = saved.powerUpRngState;
+    if (saved.replay) this.recorder.resume(saved.replay, saved.replayElapsed);
+    else this.recorder.start(this.engine, this.mode.id, this.levelNumber);
+
+    this.isPlaying = true;
+    this.isPaused = false;
+    this.renderGrid();
+    this.hideSessionOffer();
+    const instructions = document.querySelector(".instructions-container");
+    if (instructions) instructions.style.display = "none";
+    startBtn.textContent = "Restart";
+    pauseBtn.disabled = false;
+    pauseBtn.textContent = "Pause";
+    gameOver.style.display = "none";
+    comboDisplay.style.display = this.combo > 1 ? "block" : "none";
+    setTimeout(() => {
+      if (this.combo <= 1) comboDisplay.style.display = "none";
+      this.updateDisplay();
+    }, this.engine.comboWindow);
+
+    this.clearPowerUps();
+    saved.powerUps.forEach((p) =>
+      this.addPowerUp(p.type, p.left, p.top, p.remaining)
+    );
+    this.spawnPowerUps();
+    this._startTimer();
+    this.music.start(this.level);
+    this.music.setUrgent(this.timeLeft !== null && this.timeLeft <= 10);
+    this.updateDisplay();
+    this.announce(
+      `Previous game restored. Score ${this.score.toLocaleString()}, ${this.hudText()}`
+    );
+  }
+
+  // ---------- Replay playback ----------
+  startPlayback(replay) {
+    const { replayBar, replayPlayBtn, replayStepBtn } = this.els();
+    // Combo timing follows the recorded timestamps, not the wall clock
+    // (switched first so the snapshot's combos expire on that clock too)
+    this.engine.clock = () => this._replayTime;
+    this.engine.restore(replay.start);
+    this.renderGrid();
+    this.isPlaying = true;
+    this.lastReplayCode = ReplayRecorder.encode(replay);
+    this.playback = new ReplayPlayer(this, replay, {
+      onProgress: (player) => this.updateReplayBar(player),
+    });
+
+    const instructions = document.querySelector(".instructions-container");
+    if (instructions) instructions.style.display = "none";
+    document.querySelector(".controls").classList.add("hidden");
+    replayBar.classList.remove("hidden");
+
+    replayPlayBtn.addEventListener("click", async () => {
+      await this.sound.resumeIfNeeded();
+      if (this.playback.playing) this.playback.pause();
+      else this.playback.play();
+    });
+    replayStepBtn.addEventListener("click", async () => {
+      await this.sound.resumeIfNeeded();
+      this.playback.pause();
+      this.playback.step();
+    });
+
+    this.updateDisplay();
+    this.updateReplayBar(this.playback);
+  }
+
+  updateReplayBar(player) {
+    const { replayPlayBtn, replayStepBtn, replayProgress } = this.els();
+    replayPlayBtn.textContent = player.playing ? "⏸ Pause" : "▶ Play";
+    replayPlayBtn.disabled = player.done;
+    replayStepBtn.disabled = player.done;
+    replayProgress.textContent = `${player.index}/${player.replay.events.length}`;
+  }
+
+  applyReplayEvent([t, timeLeft, kind, ...args]) {
+    this._replayTime = t;
+    this.engine.timeLeft = timeLeft;
+    this.engine.elapsed = Math.floor(t / 1000);
+    switch (kind) {
+      case "c":
+        this.applyClick(args[0], args[1]);
+        break;
+      case "p":
+        this.applyPowerUp(POWER_UP_TYPES[args[0]]);
+        break;
+      case "s":
+        this.shuffleGrid({ free: !!args[0] });
+        break;
+      case "v":
+        this.revive();
+        break;
+      case "d":
+        this.doubleScore();
+        break;
+      case "e":
+        // Mode end conditions may already have ended it
+        if (this.isPlaying) this.endGame();
+        break;
+    }
+    this.updateDisplay();
+  }
+
   endGame() {
-    const { finalScore, gameOver, startBtn, pauseBtn } = this.els();
+    const {
+      finalScore,
+      gameOver,
+      newBest,
+      gameOverScores,
+      nextLevelBtn,
+      startBtn,
+      pauseBtn,
+    } = this.els();
     this.isPlaying = false;
     this._stopTimer();
     this.clearPowerUps();
 
-    postScore(this.score);
-    if (isAdReady) {
-      showAd();
-    } else {
-      console.log("mid roll Ad not ready");
+    if (this.playback) {
+      // Watching only: nothing is posted or recorded
+      finalScore.textContent = `Replay Score: ${this.score.toLocaleString()} (recorded ${this.playback.replay.score.toLocaleString()})`;
+      newBest.classList.add("hidden");
+      gameOverScores.innerHTML = "";
+      gameOver.style.display = "flex";
+      this.sound.sfxGameOver();
+      return;
     }
-    finalScore.textContent = `Final Score: ${this.score.toLocaleString()}`;
+
+    SavedSession.clear();
     gameOver.style.display = "flex";
 
     startBtn.disabled = false;
@@ -919,54 +1795,368 @@ class DigitDestroyer {
 
     // SFX
     this.sound.sfxGameOver();
+    this.music.stop();
+
+    // A rewarded video can still change the result (revive, double score),
+    // so it's recorded once the player has passed on the offer
+    if (this.showRewardOffers("gameover")) {
+      this._resultPending = true;
+      finalScore.textContent = `Score: ${this.score.toLocaleString()}`;
+      newBest.classList.add("hidden");
+      nextLevelBtn.classList.add("hidden");
+      gameOverScores.innerHTML = "";
+      this.announce(`Game over. ${finalScore.textContent}`);
+    } else {
+      this.recordResult();
+    }
+  }
+
+  // Timed games rank (local tables, host leaderboard) at the default game
+  // length only; other lengths are practice
+  get ranked() {
+    return (
+      this._timeLimit === null ||
+      this._timeLimit === Settings.defaults.gameLength
+    );
   }
+
+  // Replay, leaderboards, daily streak and level stars, once per game.
+  // Resolves when the interstitial it may bring up has closed; showAd false
+  // (the page going away) records without asking for one.
+  recordResult({ showAd = true } = {}) {
+    const { finalScore, newBest, gameOverScores } = this.els();
+    this._resultPending = false;
+    this.hideRewardOffers();
+    const replay = this.recorder.finish(this.engine);
+    if (replay) {
+      this.lastReplayCode = ReplayRecorder.encode(replay);
+      GameStorage.set("lastReplay", this.lastReplayCode);
+    }
+
+    let scoreLabel = "Final Score";
+    let practice = !this.ranked; // kept off the local table
+    if (this.levelDef) {
+      // Levels are scored by stars, not on the leaderboards
+      scoreLabel = `Level ${this.levelDef.level} Score`;
+    } else if (this.daily) {
+      const { official } = DailyChallenge.recordAttempt(
+        this.score,
+        this.daily,
+        this._dailyOfficial
+      );
+      if (official) {
+        postScore(this.score, DailyChallenge.tagFor(this.daily));
+        scoreLabel = "Daily Score";
+      } else {
+        scoreLabel = "Practice Score";
+      }
+      practice = !official;
+    } else if (!this.ranked) {
+      scoreLabel = `${this.mode.name} ${this._timeLimit}s Practice Score`;
+    } else if (this.mode.id === "classic") {
+      postScore(this.score);
+    } else {
+      // The host leaderboard is Classic's; other modes rank locally
+      scoreLabel = `${this.mode.name} Score`;
+    }
+    // Shows only if one is loaded and AdPacing allows it
+    AdPacing.gameEnded();
+    this._interstitial = showAd ? ads.showInterstitial() : Promise.resolve();
+    if (this.levelDef) finalScore.textContent = this.finishLevel();
+    else
+      finalScore.textContent = this.mode.targetScore
+        ? `Target reached in ${this.engine.elapsed}s`
+        : `${scoreLabel}: ${this.score.toLocaleString()}`;
+    this.announce(`Game over. ${finalScore.textContent}`);
+
+    if (this.levelDef) {
+      newBest.classList.add("hidden");
+      gameOverScores.innerHTML = "";
+    } else if (practice) {
+      newBest.classList.add("hidden");
+      HighScores.render(gameOverScores, -1, this.mode.id);
+    } else {
+      const { largestGroup, bestCombo } = this.engine.stats;
+      const { rank, isBest } = HighScores.submit(
+        {
+          score: this.score,
+          level: this.level,
+          time: this.engine.elapsed,
+          largestGroup,
+          bestCombo,
+        },
+        this.mode.id
+      );
+      newBest.classList.toggle("hidden", !isBest);
+      HighScores.render(gameOverScores, rank, this.mode.id);
+    }
+    return this._interstitial;
+  }
+
+  // Called before anything leaves the game-over screen; await it before
+  // navigating so the result's interstitial isn't cut off
+  settleResult(options) {
+    if (this._resultPending) return this.recordResult(options);
+    return this._interstitial || Promise.resolve();
+  }
+
+  // ---------- Rewarded offers ----------
+  // Lists the RewardOffers for `when` in the panel under the board or on
+  // the game-over overlay; false when no video or no offer applies
+  showRewardOffers(when, { title = "🎁 Reward Available!", only } = {}) {
+    if (this.playback || !ads.canShow("rewarded")) return false;
+    const offers = RewardOffers.available(this, when, only);
+    const panel =
+      when === "gameover"
+        ? this.els().rewardOffers
+        : document.querySelector(".instructions-bottom");
+    if (!offers.length || !panel) return false;
+    panel.innerHTML =
+      `<h3>${title}</h3><p>Watch a video for:</p>` +
+      offers
+        .map(
+          (o) => `
+        <button class="btn btn--primary reward-offer" onclick="claimReward('${o.id}')">
+          ${o.icon} ${o.label}
+        </button>`
+        )
+        .join("") +
+      // "No thanks" on the board puts Go to Home back in the panel
+      `<button class="btn reward-offer" onclick="${
+        when === "gameover" ? "game.settleResult()" : "showInstructions()"
+      }">No thanks</button>`;
+    panel.classList.remove("hidden");
+    offers.forEach((o) => RewardOffers.track(o.id, "offered"));
+    return true;
+  }
+
+  hideRewardOffers() {
+    const { rewardOffers } = this.els();
+    rewardOffers.classList.add("hidden");
+    rewardOffers.innerHTML = "";
+  }
+
+  // Ran out of time or moves (not a win or a Sudden Death slip); once a game
+  canRevive() {
+    if (this._revived) return false;
+    const { timeLimit, movesLeft } = this.engine;
+    return (
+      (timeLimit !== null && this.timeLeft <= 0) ||
+      (movesLeft !== null && movesLeft <= 0)
+    );
+  }
+
+  // Rewarded continue on the same board; logged so replays follow it
+  revive() {
+    const { gameOver, startBtn, pauseBtn } = this.els();
+    this.recorder.log(this.engine, "v");
+    this._revived = true;
+    this._resultPending = false;
+    if (this.engine.timeLimit !== null && this.timeLeft <= 0)
+      this.engine.addTime(REVIVE_SECONDS);
+    if (this.engine.movesLeft !== null && this.engine.movesLeft <= 0)
+      this.engine.movesLeft += REVIVE_MOVES;
+    this.isPlaying = true;
+    this.isPaused = false;
+    this.hideRewardOffers();
+    showInstructions();
+    gameOver.style.display = "none";
+    startBtn.textContent = "Restart";
+    pauseBtn.disabled = false;
+    this.updateDisplay();
+    this.announce("Continued. Back to the board");
+    if (this.playback) return;
+    this._startTimer();
+    this.spawnPowerUps();
+    this.music.start(this.level);
+    this.saveSession();
+  }
+
+  // Rewarded bonus from the game-over screen, before the result is recorded
+  doubleScore() {
+    this.recorder.log(this.engine, "d");
+    this.engine.addScore(this.score);
+    this.updateDisplay();
+  }
+
+  // Records stars for a finished campaign level and offers the next one;
+  // returns the result line for the game-over screen
+  finishLevel() {
+    const { level, time, objective } = this.levelDef;
+    const { current, target, done } = Levels.progress(objective, this.engine);
+    const { nextLevelBtn } = this.els();
+    if (!done) {
+      nextLevelBtn.classList.add("hidden");
+      return `Level ${level} failed · ${Levels.describe(
+        objective
+      )} (${current}/${target})`;
+    }
+    const stars = Levels.starsFor(this.timeLeft, time);
+    Levels.complete(level, stars);
+    nextLevelBtn.classList.toggle("hidden", !Levels.get(level + 1));
+    return `Level ${level} complete! ${"★".repeat(stars)}${"☆".repeat(
+      3 - stars
+    )}`;
+  }
+}
+
+// Boot (game.html?seed=abc reproduces a board exactly; ?daily plays today's
+// board; ?replay=<code> watches a recorded game)
+const bootParams = new URLSearchParams(location.search);
+const dailyKey = bootParams.has("daily") ? DailyChallenge.todayKey() : null;
+let bootReplay = null;
+if (bootParams.has("replay")) {
+  try {
+    const replay = ReplayRecorder.decode(bootParams.get("replay"));
+    // Incomplete ones fall back to a normal game
+    if (ReplayRecorder.isValid(replay)) bootReplay = replay;
+    else console.log("DigitDestroyer: incomplete replay code");
+  } catch (e) {
+    console.log("DigitDestroyer: invalid replay code", e);
+  }
+}
+// ?level=3 plays a campaign level once it's unlocked (levels use Classic
+// rules and never run as the daily)
+let bootLevel = Number(bootParams.get("level")) || null;
+if (dailyKey || (bootLevel && !Levels.isUnlocked(bootLevel))) bootLevel = null;
+if (bootReplay) bootLevel = bootReplay.level || null;
+// ?mode=zen etc.; daily boards are always Classic, replays use their own
+let bootMode = bootParams.get("mode") || "classic";
+if (dailyKey || bootLevel) bootMode = "classic";
+if (bootReplay) bootMode = bootReplay.mode || "classic";
+const game = new DigitDestroyer({
+  seed: dailyKey ? DailyChallenge.seedFor(dailyKey) : bootParams.get("seed"),
+  daily: dailyKey,
+  replay: bootReplay,
+  mode: bootMode,
+  level: bootLevel,
+});
+// Unfinished game from an earlier visit (never offered while watching)
+const savedSession = bootReplay
+  ? null
+  : SavedSession.load({
+      daily: dailyKey,
+      mode: game.mode.id,
+      level: game.levelNumber,
+    });
+if (savedSession) game.offerSession(savedSession);
+
+// Who the game-over screen credits (a watched replay may be anyone's).
+// Another player's profile only loads with the page, so reload if nothing
+// is being played yet; otherwise it applies from the next page.
+function renderPlayer() {
+  const { gameOverPlayer } = game.els();
+  gameOverPlayer.classList.toggle("hidden", !!game.playback);
+  PlayerProfile.renderBadge(gameOverPlayer);
 }
+renderPlayer();
+PlayerProfile.onChange((profile, switched) => {
+  const { gameOver } = game.els();
+  const idle =
+    !game.isPlaying && !game.playback && gameOver.style.display !== "flex";
+  if (!switched) renderPlayer();
+  else if (idle) location.reload();
+});
 
-// Boot
-const game = new DigitDestroyer();
 function startNewGame() {
+  if (game.playback) {
+    location.replace("game.html");
+    return;
+  }
   showInstructions();
-  gameCacheAd();
+  ads.cacheAll();
   document.getElementById("gameOver").style.display = "none";
   game.handleStartButton();
 }
 
+async function playNextLevel() {
+  if (!game.levelDef) return;
+  await game.settleResult();
+  location.replace(`game.html?level=${game.levelDef.level + 1}`);
+}
+
+async function watchReplay() {
+  await game.settleResult();
+  if (!game.lastReplayCode) return;
+  location.replace(`game.html?replay=${game.lastReplayCode}`);
+}
+
+function copyReplay() {
+  game.settleResult();
+  if (!game.lastReplayCode) return;
+  const url = `${location.origin}${location.pathname}?replay=${game.lastReplayCode}`;
+  const fallback = () => window.prompt("Copy this replay link:", url);
+  if (navigator.clipboard) {
+    navigator.clipboard
+      .writeText(url)
+      .then(() => game.showPowerUpMessage("Replay link copied!"))
+      .catch(fallback);
+  } else {
+    fallback();
+  }
+}
+
+// Settings from the in-game controls row; pauses while the panel is open
+function openSettings() {
+  const pausedHere = game.isPlaying && !game.isPaused;
+  if (pausedHere) game.pauseGame();
+  SettingsPanel.open({
+    onClose: () => {
+      if (pausedHere && game.isPaused) game.pauseGame();
+    },
+  });
+}
+
+// Called by the host app through onClientPause / onClientResume
+window.pauseMusic = function () {
+  game.music.pause();
+};
+
+window.resumeMusic = function () {
+  // Only if the game itself isn't paused; its Resume button restarts music
+  if (game.isPlaying && !game.isPaused) game.music.resume();
+};
+
 function shuffleGridEvent() {
-  game.shuffleGrid();
+  if (game.canInteract()) game.shuffleGrid();
 }
 
-function showRewardedVideo() {
-  // Pause game
-  if (game) {
+// Plays a rewarded video for one of the RewardOffers. The game waits
+// paused; the offer is granted only if the ad closes as eligible. On the
+// game-over screen the result is recorded afterwards, unless it revived.
+async function claimReward(id) {
+  const offer = RewardOffers.get(id);
+  const playing = game.isPlaying;
+  // Paused already (before opening the offer): stays paused after the ad
+  const running = playing && !game.isPaused;
+  RewardOffers.track(id, "chosen");
+  game.hideRewardOffers();
+  if (running) {
     game.isPaused = true;
     game._stopTimer();
+    game.music.pause();
   }
 
   console.log("Showing rewarded ad...");
-  showAdRewarded();
-}
-
-function showAdMessage() {
-  // Only show ad offer once when time hits 10 seconds
-  if (!game || !game.isPlaying) {
-    return;
+  const { shown, rewarded } = await ads.showRewarded();
+  if (!shown) game.showPowerUpMessage("No video available right now");
+  if (running) {
+    game.isPaused = false;
+    game._startTimer();
+    game.music.resume();
   }
-
-  if (game.timeLeft === 10) {
-    AdMessage();
+  if (playing) showInstructions();
+  if (rewarded) {
+    RewardOffers.track(id, "granted");
+    offer.grant(game);
+    game.sound.sfxPowerUp();
   }
+  // The save carries the per-game video count, so a reload can't reset it
+  if (shown) game.saveSession();
+  if (!game.isPlaying) game.settleResult();
+  game.updateDisplay();
 }
 
-function AdMessage() {
-  const instructionsBottom = document.querySelector(".instructions-bottom");
-  if (instructionsBottom) {
-    instructionsBottom.innerHTML = `
-        <h3>🎁 Reward Available!</h3>
-        <p>Watch video to get <strong>+20 seconds</strong> extra play time!</p>
-        <button class="btn btn--primary" onclick="showRewardedVideo()">Watch Ad (+20s)</button>
-      `;
-  }
-}
 function showInstructions() {
   const instructionsBottom = document.querySelector(".instructions-bottom");
   if (instructionsBottom) {
@@ -976,13 +2166,3 @@ function showInstructions() {
   }
 }
 
-function giveReward() {
-  if (game) {
-    game.timeLeft += 20;
-    game.isPaused = false;
-    game._startTimer();
-    game.updateDisplay();
-    game.sound.sfxPowerUp();
-    showInstructions();
-  }
-}
@@ -0,0 +1,75 @@
+// === Daily Challenge ===
+// Board + refill sequence come from the local date, so everyone gets the
+// same puzzle that day. Only the first game of a day to make a move is
+// scored, finished or not (Reset / Restart can't buy a second look).
+// That attempt is posted with the day's tag (tagFor) and also counts as a
+// Classic game on the local table; later runs at the board are practice.
+
+const DailyChallenge = {
+  storageKey: "daily",
+
+  todayKey(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+      date.getDate()
+    )}`;
+  },
+
+  seedFor(dateKey) {
+    return `daily-${dateKey}`;
+  },
+
+  tagFor(dateKey) {
+    return `daily:${dateKey}`;
+  },
+
+  _yesterdayKey(dateKey) {
+    const [y, m, d] = dateKey.split("-").map(Number);
+    return this.todayKey(new Date(y, m - 1, d - 1));
+  },
+
+  record() {
+    return GameStorage.get(this.storageKey, {
+      date: null, // last day with a scored attempt
+      score: 0, // that day's scored attempt
+      best: 0, // best run that day, practice included
+      streak: 0,
+    });
+  },
+
+  // Today's numbers for the home screen
+  summary(dateKey = this.todayKey()) {
+    const rec = this.record();
+    const playedToday = rec.date === dateKey;
+    const alive = playedToday || rec.date === this._yesterdayKey(dateKey);
+    return {
+      playedToday,
+      score: playedToday ? rec.score : 0,
+      best: playedToday ? rec.best : 0,
+      streak: alive ? rec.streak : 0,
+    };
+  },
+
+  // A daily game's first move: true when it's the first of the day, which
+  // makes it the scored attempt (at 0 until it ends)
+  begin(dateKey = this.todayKey()) {
+    const rec = this.record();
+    if (rec.date === dateKey) return false;
+    rec.streak = rec.date === this._yesterdayKey(dateKey) ? rec.streak + 1 : 1;
+    rec.date = dateKey;
+    rec.score = 0;
+    rec.best = 0;
+    GameStorage.set(this.storageKey, rec);
+    return true;
+  },
+
+  // official: the game begin() picked. Returns { official }.
+  recordAttempt(score, dateKey = this.todayKey(), official = false) {
+    if (this.record().date !== dateKey) official = this.begin(dateKey);
+    const rec = this.record();
+    if (official) rec.score = score;
+    rec.best = Math.max(rec.best, score);
+    GameStorage.set(this.storageKey, rec);
+    return { official };
+  },
+};
@@ -0,0 +1,598 @@
+// === Digit Destroyer rules engine (DOM-free; runs in the browser or Node) ===
+// Holds the board and scoring state. DigitDestroyer in app.js renders it
+// and plays clicks through move(), so bots and tests driving move() get
+// the same boards.
+
+const EngineRandom =
+  typeof SeededRandom !== "undefined"
+    ? SeededRandom
+    : require("./rng.js").SeededRandom;
+
+const GRID_DIRS = [
+  [-1, 0],
+  [1, 0],
+  [0, -1],
+  [0, 1],
+];
+
+// Special tiles refills can spawn, unlocked by level. Each filled cell has
+// a `rate` chance per type, growing 10% per level past fromLevel.
+//   x2    doubles the score of the group it's cleared with
+//   wild  matches any digit
+//   bomb  clears its 3x3 when cleared (setting off other bombs)
+//   lock  matches nothing until `hits` neighbouring clears break it
+const SPECIAL_TILES = [
+  { type: "x2", fromLevel: 2, rate: 0.02 },
+  { type: "wild", fromLevel: 3, rate: 0.015 },
+  { type: "bomb", fromLevel: 4, rate: 0.015 },
+  { type: "lock", fromLevel: 5, rate: 0.02, hits: 2 },
+];
+
+class GameEngine {
+  constructor({
+    seed,
+    size = 8, // square board; rows/cols or shape for anything else
+    rows = size,
+    cols = size,
+    shape = null, // strings, one per row: "." a cell, "#" a hole
+    digits = 10, // board uses 0..digits-1
+    timeLimit = 60, // null: no countdown
+    moveLimit = null, // clicks per game, null for unlimited
+    shuffleLimit = null, // shuffle button uses, null for unlimited
+    hintLimit = null, // hints per game, null for unlimited
+    scoreMultiplier = 1,
+    pointsPerLevel = 600,
+    startLevel = 1,
+    maxLevel = 15,
+    specialTiles = SPECIAL_TILES,
+    comboWindow = 3000,
+    clock = () => Date.now(),
+  } = {}) {
+    this.rng = new EngineRandom(seed);
+    // Own stream, so special tiles never shift the digit sequence
+    this.specialRng = this.rng.derive("specials");
+    this.shape = shape;
+    this.rows = shape ? shape.length : rows;
+    this.cols = shape ? shape[0].length : cols;
+    this.digits = digits;
+    this.timeLimit = timeLimit;
+    this.moveLimit = moveLimit;
+    this.shuffleLimit = shuffleLimit;
+    this.hintLimit = hintLimit;
+    this.scoreMultiplier = scoreMultiplier;
+    this.pointsPerLevel = pointsPerLevel;
+    this.startLevel = startLevel;
+    this.maxLevel = maxLevel;
+    this.specialTiles = specialTiles;
+    this.comboWindow = comboWindow;
+    this.clock = clock;
+
+    this.grid = [];
+    this.specials = []; // parallel to grid: null or { type, hits? }
+    this.start();
+    this.newBoard();
+  }
+
+  // ---------- Lifecycle ----------
+  // Restart the random sequence (same seed replays the same boards)
+  reseed(seed = this.rng.seed) {
+    this.rng = new EngineRandom(seed);
+    this.specialRng = this.rng.derive("specials");
+  }
+
+  start() {
+    this.score = 0;
+    this.timeLeft = this.timeLimit;
+    this.elapsed = 0;
+    this.movesLeft = this.moveLimit;
+    this.shufflesLeft = this.shuffleLimit;
+    this.hintsLeft = this.hintLimit;
+    this.level = this.startLevel;
+    this._comboEntries = [];
+    this.stats = {
+      largestGroup: 0,
+      bestCombo: 0,
+      clearedDigits: Array(10).fill(0), // per digit, wildcards not counted
+      locksBroken: 0,
+    };
+  }
+
+  // Holes stay null in grid and specials
+  newBoard() {
+    this.grid = [];
+    this.specials = [];
+    for (let row = 0; row < this.rows; row++) {
+      this.grid[row] = Array(this.cols).fill(null);
+      this.specials[row] = Array(this.cols).fill(null);
+    }
+    this.cells().forEach(({ row, col }) => {
+      this.grid[row][col] = this.randomDigit();
+    });
+    return this.grid;
+  }
+
+  // One second of game time; true once the clock has run out
+  tick() {
+    this.elapsed++;
+    if (this.timeLimit === null) return false;
+    this.timeLeft--;
+    return this.timeLeft <= 0;
+  }
+
+  // One shuffle spent; false (and nothing spent) when none are left
+  useShuffle() {
+    if (this.shufflesLeft === null) return true;
+    if (this.shufflesLeft <= 0) return false;
+    this.shufflesLeft--;
+    return true;
+  }
+
+  // One hint spent; false (and nothing spent) when none are left
+  useHint() {
+    if (this.hintsLeft === null) return true;
+    if (this.hintsLeft <= 0) return false;
+    this.hintsLeft--;
+    return true;
+  }
+
+  addHints(count) {
+    if (this.hintsLeft !== null) this.hintsLeft += count;
+  }
+
+  // One click spent; true once the move limit is used up
+  useMove() {
+    if (this.movesLeft === null) return false;
+    this.movesLeft--;
+    return this.movesLeft <= 0;
+  }
+
+  addTime(seconds) {
+    this.timeLeft += seconds;
+  }
+
+  // ---------- Board ----------
+  randomDigit() {
+    return this.rng.int(this.digits);
+  }
+
+  isHole(row, col) {
+    return !!this.shape && (this.shape[row] || "")[col] === "#";
+  }
+
+  // On the board: inside the rectangle and not a hole
+  inBounds(row, col) {
+    return (
+      row >= 0 &&
+      row < this.rows &&
+      col >= 0 &&
+      col < this.cols &&
+      !this.isHole(row, col)
+    );
+  }
+
+  // Every playable cell, row by row
+  cells() {
+    const out = [];
+    for (let row = 0; row < this.rows; row++) {
+      for (let col = 0; col < this.cols; col++) {
+        if (!this.isHole(row, col)) out.push({ row, col });
+      }
+    }
+    return out;
+  }
+
+  // ---------- Special tiles ----------
+  specialAt(row, col) {
+    const special = this.specials[row] && this.specials[row][col];
+    return special ? special.type : null;
+  }
+
+  isWild(row, col) {
+    return this.specialAt(row, col) === "wild";
+  }
+
+  isLocked(row, col) {
+    return this.specialAt(row, col) === "lock";
+  }
+
+  // One roll per filled cell, whatever the level, so the stream stays
+  // aligned with the refill order
+  randomSpecial() {
+    const roll = this.specialRng.next();
+    let acc = 0;
+    for (const tile of this.specialTiles) {
+      if (this.level < tile.fromLevel) continue;
+      acc += tile.rate * (1 + 0.1 * (this.level - tile.fromLevel));
+      if (roll < acc)
+        return tile.hits
+          ? { type: tile.type, hits: tile.hits }
+          : { type: tile.type };
+    }
+    return null;
+  }
+
+  // A matched group plus what it sets off: bombs blast their 3x3 (chaining
+  // into other bombs; locks there are only cracked), every ×2 tile cleared
+  // doubles the score
+  expandClear(group) {
+    const cleared = new Map(group.map((c) => [`${c.row}-${c.col}`, c]));
+    const bombs = group.filter((c) => this.specialAt(c.row, c.col) === "bomb");
+    for (let i = 0; i < bombs.length; i++) {
+      const { row, col } = bombs[i];
+      for (let r = row - 1; r <= row + 1; r++) {
+        for (let c = col - 1; c <= col + 1; c++) {
+          const key = `${r}-${c}`;
+          if (
+            !this.inBounds(r, c) ||
+            cleared.has(key) ||
+            this.grid[r][c] === null ||
+            this.isLocked(r, c)
+          )
+            continue;
+          cleared.set(key, { row: r, col: c });
+          if (this.specialAt(r, c) === "bomb") bombs.push({ row: r, col: c });
+        }
+      }
+    }
+    const cells = [...cleared.values()];
+    const doubles = cells.filter((c) => this.specialAt(c.row, c.col) === "x2");
+    return { cells, bombs, multiplier: 2 ** doubles.length };
+  }
+
+  // Each lock next to a cleared cell takes one hit; returns the touched
+  // locks (their special is gone once hits reach 0)
+  crackLocks(cells) {
+    const hit = new Map();
+    cells.forEach(({ row, col }) => {
+      for (const [dr, dc] of GRID_DIRS) {
+        const r = row + dr,
+          c = col + dc;
+        if (this.inBounds(r, c) && this.grid[r][c] !== null && this.isLocked(r, c))
+          hit.set(`${r}-${c}`, { row: r, col: c });
+      }
+    });
+    hit.forEach(({ row, col }) => {
+      const lock = this.specials[row][col];
+      lock.hits--;
+      if (lock.hits <= 0) {
+        this.specials[row][col] = null;
+        this.stats.locksBroken++;
+      }
+    });
+    return [...hit.values()];
+  }
+
+  // ---------- Groups ----------
+  // Cells matching `digit` (wildcards match anything, locks nothing)
+  // connected to row/col
+  _flood(row, col, digit) {
+    const matches = (r, c) =>
+      this.grid[r][c] !== null &&
+      !this.isLocked(r, c) &&
+      (this.isWild(r, c) || this.grid[r][c] === digit);
+    const out = [];
+    const visited = new Set([`${row}-${col}`]);
+    const stack = [{ row, col }];
+    while (stack.length) {
+      const cell = stack.pop();
+      out.push(cell);
+      for (const [dr, dc] of GRID_DIRS) {
+        const nr = cell.row + dr,
+          nc = cell.col + dc;
+        const key = `${nr}-${nc}`;
+        if (this.inBounds(nr, nc) && !visited.has(key) && matches(nr, nc)) {
+          visited.add(key);
+          stack.push({ row: nr, col: nc });
+        }
+      }
+    }
+    return out;
+  }
+
+  findGroup(row, col) {
+    if (!this.inBounds(row, col)) return [];
+    if (this.grid[row][col] === null || this.isLocked(row, col)) return [];
+    if (!this.isWild(row, col)) return this._flood(row, col, this.grid[row][col]);
+
+    // A wildcard joins whichever neighbouring digit makes the biggest group
+    let best = this._flood(row, col, null);
+    for (const [dr, dc] of GRID_DIRS) {
+      const r = row + dr,
+        c = col + dc;
+      if (
+        !this.inBounds(r, c) ||
+        this.grid[r][c] === null ||
+        this.isWild(r, c) ||
+        this.isLocked(r, c)
+      )
+        continue;
+      const group = this._flood(row, col, this.grid[r][c]);
+      if (group.length > best.length) best = group;
+    }
+    return best;
+  }
+
+  // Every connected group on the board, singles (and locks) included. A
+  // wildcard between two digits can show up in both groups.
+  components() {
+    const seen = new Set();
+    const groups = [];
+    this.cells().forEach(({ row, col }) => {
+      if (this.grid[row][col] === null || seen.has(`${row}-${col}`)) return;
+      const group = this.findGroup(row, col);
+      if (!group.length) group.push({ row, col });
+      group.forEach((c) => seen.add(`${c.row}-${c.col}`));
+      groups.push(group);
+    });
+    return groups;
+  }
+
+  isValidMove(row, col) {
+    return this.findGroup(row, col).length >= 2;
+  }
+
+  // False once every group on the board is a single digit
+  hasMoves() {
+    return this.components().some((g) => g.length >= 2);
+  }
+
+  // Number of clickable groups (2+) on the board
+  movesAvailable() {
+    return this.components().filter((g) => g.length >= 2).length;
+  }
+
+  // Highest-scoring group on the board (bombs and ×2 tiles included), or
+  // null on a dead board
+  bestMove() {
+    let best = null,
+      bestPoints = 0;
+    this.components().forEach((group) => {
+      if (group.length < 2) return;
+      const { cells, multiplier } = this.expandClear(group);
+      const points = this.projectScore(cells.length) * multiplier;
+      if (points > bestPoints) {
+        best = group;
+        bestPoints = points;
+      }
+    });
+    return best;
+  }
+
+  // Same digits in new places, redrawn until there's a move (a fresh board
+  // as a last resort)
+  shuffle() {
+    const cells = this.cells().filter(
+      ({ row, col }) => this.grid[row][col] !== null
+    );
+    // Digit and special move together
+    const tiles = cells.map(({ row, col }) => [
+      this.grid[row][col],
+      this.specials[row][col],
+    ]);
+    for (let attempt = 0; attempt < 10; attempt++) {
+      for (let i = tiles.length - 1; i > 0; i--) {
+        const j = this.rng.int(i + 1);
+        [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
+      }
+      cells.forEach(({ row, col }, i) => {
+        [this.grid[row][col], this.specials[row][col]] = tiles[i];
+      });
+      if (this.hasMoves()) return this.grid;
+    }
+    return this.newBoard();
+  }
+
+  // Clears the cells (and their specials); returns the locks cracked
+  // by clearing next to them
+  removeCells(cells) {
+    cells.forEach(({ row, col }) => {
+      if (!this.isWild(row, col))
+        this.stats.clearedDigits[this.grid[row][col]]++;
+      this.grid[row][col] = null;
+      this.specials[row][col] = null;
+    });
+    return this.crackLocks(cells);
+  }
+
+  // Specials fall with their digits. Tiles drop past holes into the next
+  // cell below, never into a hole.
+  applyGravity() {
+    for (let col = 0; col < this.cols; col++) {
+      const slots = [];
+      for (let row = this.rows - 1; row >= 0; row--) {
+        if (!this.isHole(row, col)) slots.push(row);
+      }
+      let write = 0;
+      slots.forEach((row) => {
+        if (this.grid[row][col] === null) return;
+        const to = slots[write++];
+        if (to === row) return;
+        this.grid[to][col] = this.grid[row][col];
+        this.specials[to][col] = this.specials[row][col];
+        this.grid[row][col] = null;
+        this.specials[row][col] = null;
+      });
+    }
+  }
+
+  // Fills every empty slot; returns the cells that were filled
+  refill() {
+    const filled = this.cells().filter(
+      ({ row, col }) => this.grid[row][col] === null
+    );
+    filled.forEach(({ row, col }) => {
+      this.grid[row][col] = this.randomDigit();
+      this.specials[row][col] = this.randomSpecial();
+    });
+    return filled;
+  }
+
+  // Up to `count` distinct cells (draws that land on a hole are lost)
+  randomCells(count) {
+    const cells = [];
+    for (let i = 0; i < count; i++) {
+      const row = this.rng.int(this.rows);
+      const col = this.rng.int(this.cols);
+      if (
+        this.inBounds(row, col) &&
+        !cells.find((c) => c.row === row && c.col === col)
+      )
+        cells.push({ row, col });
+    }
+    return cells;
+  }
+
+  // Blasts skip locks, like bombs do: only clears next to them crack them
+  unlocked(cells) {
+    return cells.filter(({ row, col }) => !this.isLocked(row, col));
+  }
+
+  cellsWithDigit(digit) {
+    return this.cells().filter(({ row, col }) => this.grid[row][col] === digit);
+  }
+
+  // ---------- Scoring ----------
+  // Each scored group adds 1 to the combo for comboWindow ms
+  get combo() {
+    const now = this.clock();
+    this._comboEntries = this._comboEntries.filter((e) => e.expires > now);
+    return this._comboEntries.reduce((sum, e) => sum + e.amount, 0);
+  }
+
+  boostCombo(amount, duration = this.comboWindow) {
+    this._comboEntries.push({ amount, expires: this.clock() + duration });
+  }
+
+  projectScore(groupSize) {
+    const base = groupSize * 10;
+    const bonus = Math.max(0, (groupSize - 2) * 15);
+    const comboBonus = this.combo * 5;
+    const levelBonus = this.level * 2;
+    return Math.round(
+      (base + bonus + comboBonus + levelBonus) * this.scoreMultiplier
+    );
+  }
+
+  scoreGroup(groupSize, multiplier = 1) {
+    const total = this.projectScore(groupSize) * multiplier;
+    this.score += total;
+    this.boostCombo(1);
+    this.stats.largestGroup = Math.max(this.stats.largestGroup, groupSize);
+    this.stats.bestCombo = Math.max(this.stats.bestCombo, this.combo);
+    return total;
+  }
+
+  addScore(points) {
+    this.score += points;
+  }
+
+  // Advances at most one level; true when it did
+  checkLevelUp() {
+    if (
+      this.score > this.level * this.pointsPerLevel &&
+      this.level < this.maxLevel
+    ) {
+      this.level++;
+      return true;
+    }
+    return false;
+  }
+
+  // ---------- Snapshots ----------
+  // Plain JSON: board, RNG position and counters. Combo entries are stored
+  // as time remaining, so a restore later picks up the same window.
+  serialize() {
+    const now = this.clock();
+    return {
+      seed: this.rng.seed,
+      rngState: this.rng.state,
+      specialRngState: this.specialRng.state,
+      grid: this.grid.map((row) => row.slice()),
+      specials: this.specials.map((row) => row.map((s) => s && { ...s })),
+      score: this.score,
+      timeLeft: this.timeLeft,
+      elapsed: this.elapsed,
+      movesLeft: this.movesLeft,
+      shufflesLeft: this.shufflesLeft,
+      hintsLeft: this.hintsLeft,
+      level: this.level,
+      stats: {
+        ...this.stats,
+        clearedDigits: this.stats.clearedDigits.slice(),
+      },
+      combo: this._comboEntries
+        .filter((e) => e.expires > now)
+        .map((e) => ({ amount: e.amount, remaining: e.expires - now })),
+    };
+  }
+
+  // Another engine on this board holding a serialized state, to read a
+  // snapshot (say, a saved game) without loading it
+  preview(data) {
+    const copy = Object.assign(Object.create(GameEngine.prototype), this);
+    copy.restore(data);
+    return copy;
+  }
+
+  restore(data) {
+    this.rng = new EngineRandom(data.seed);
+    this.rng.state = data.rngState;
+    this.specialRng = this.rng.derive("specials");
+    if (data.specialRngState !== undefined)
+      this.specialRng.state = data.specialRngState;
+    this.grid = data.grid.map((row) => row.slice());
+    this.specials = data.specials
+      ? data.specials.map((row) => row.map((s) => s && { ...s }))
+      : this.grid.map((row) => row.map(() => null));
+    this.score = data.score;
+    this.timeLeft = data.timeLeft;
+    this.elapsed = data.elapsed || 0;
+    this.movesLeft = data.movesLeft === undefined ? null : data.movesLeft;
+    this.shufflesLeft =
+      data.shufflesLeft === undefined ? null : data.shufflesLeft;
+    this.hintsLeft = data.hintsLeft === undefined ? null : data.hintsLeft;
+    this.level = data.level;
+    this.stats = {
+      locksBroken: 0,
+      ...data.stats,
+      clearedDigits: (data.stats.clearedDigits || Array(10).fill(0)).slice(),
+    };
+    const now = this.clock();
+    this._comboEntries = (data.combo || []).map((e) => ({
+      amount: e.amount,
+      expires: now + e.remaining,
+    }));
+  }
+
+  // One whole click, the same steps the game runs (the renderer animates
+  // from the result): clear and score, fall and refill, spend the move,
+  // then level up. `stuck` is a dead board: the caller decides between
+  // shuffle() and game over.
+  move(row, col) {
+    const group = this.findGroup(row, col);
+    let clear = { cells: [], bombs: [], cracked: [], points: 0, filled: [] };
+    if (group.length >= 2) {
+      const { cells, bombs, multiplier } = this.expandClear(group);
+      const cracked = this.removeCells(cells);
+      const points = this.scoreGroup(cells.length, multiplier);
+      this.applyGravity();
+      const filled = this.refill();
+      clear = { cells, bombs, cracked, multiplier, points, filled };
+    }
+    const outOfMoves = this.useMove();
+    const leveledUp = this.checkLevelUp();
+    return {
+      valid: group.length >= 2,
+      group,
+      multiplier: 1,
+      ...clear,
+      outOfMoves,
+      leveledUp,
+      stuck: !this.hasMoves(),
+    };
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { GameEngine, SPECIAL_TILES };
+}
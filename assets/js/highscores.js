@@ -0,0 +1,75 @@
+// === Local high-score tables (top 10 per game mode, kept in localStorage) ===
+// Classic keeps the original "highscores" key so existing tables carry over.
+// Modes with rankBy "time" (Target) rank the fastest finish first.
+
+const HighScores = {
+  storageKey: "highscores",
+  limit: 10,
+
+  _key(mode) {
+    return mode === "classic" ? this.storageKey : `${this.storageKey}:${mode}`;
+  },
+
+  _byTime(mode) {
+    return GameModes.get(mode).rankBy === "time";
+  },
+
+  list(mode = "classic") {
+    return GameStorage.get(this._key(mode), []);
+  },
+
+  // Returns { rank, isBest }; rank is the 0-based row or -1 if it missed the table
+  submit({ score, level, largestGroup, bestCombo, time }, mode = "classic") {
+    const entries = this.list(mode);
+    const entry = {
+      score,
+      level,
+      largestGroup,
+      bestCombo,
+      time,
+      date: new Date().toISOString(),
+    };
+    const byTime = this._byTime(mode);
+    const better = (a, b) => (byTime ? a.time - b.time : b.score - a.score);
+    const isBest = byTime
+      ? !entries.length || entry.time < entries[0].time
+      : score > 0 && (!entries.length || score > entries[0].score);
+
+    entries.push(entry);
+    entries.sort(better);
+    const kept = entries.slice(0, this.limit);
+    GameStorage.set(this._key(mode), kept);
+
+    return { rank: kept.indexOf(entry), isBest };
+  },
+
+  render(container, highlightRank = -1, mode = "classic") {
+    const entries = this.list(mode);
+    if (!entries.length) {
+      container.innerHTML = `<p class="highscores-empty">No scores yet. Go destroy some digits!</p>`;
+      return;
+    }
+    const byTime = this._byTime(mode);
+    const rows = entries
+      .map(
+        (e, i) => `
+          <tr class="${i === highlightRank ? "highlight" : ""}">
+            <td>${i + 1}</td>
+            ${byTime ? `<td>${e.time}s</td>` : ""}
+            <td>${e.score.toLocaleString()}</td>
+            <td>${e.level}</td>
+            <td>${e.largestGroup}</td>
+            <td>x${e.bestCombo}</td>
+            <td>${new Date(e.date).toLocaleDateString()}</td>
+          </tr>`
+      )
+      .join("");
+    container.innerHTML = `
+      <table class="highscores-table">
+        <thead>
+          <tr><th>#</th>${byTime ? "<th>Time</th>" : ""}<th>Score</th><th>Lvl</th><th>Group</th><th>Combo</th><th>Date</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+  },
+};
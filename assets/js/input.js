@@ -0,0 +1,121 @@
+// === Keyboard + Gamepad input ===
+// Both map onto the same actions, which DigitDestroyer.handleAction runs:
+// up/down/left/right move the grid cursor, select destroys the group under
+// it, plus pause / reset / shuffle / powerup / hint.
+
+const KEY_ACTIONS = {
+  arrowup: "up",
+  arrowdown: "down",
+  arrowleft: "left",
+  arrowright: "right",
+  w: "up",
+  a: "left",
+  s: "down", // Shift+S shuffles; plain S belongs to WASD
+  d: "right",
+  enter: "select",
+  " ": "select",
+  p: "pause",
+  r: "reset",
+  e: "powerup",
+  h: "hint",
+};
+
+// Standard gamepad mapping (D-pad 12-15, A/B/X/Y 0-3, Back 8, Start 9)
+const GAMEPAD_ACTIONS = {
+  12: "up",
+  13: "down",
+  14: "left",
+  15: "right",
+  0: "select",
+  1: "hint",
+  2: "shuffle",
+  3: "powerup",
+  8: "reset",
+  9: "pause",
+};
+
+class InputController {
+  constructor(onAction) {
+    this.onAction = onAction;
+    this._pads = new Map(); // index -> { pressed: Set, repeatAt: {} }
+    this._polling = false;
+    this._bindKeyboard();
+    this._bindGamepad();
+  }
+
+  _bindKeyboard() {
+    window.addEventListener("keydown", (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      // Form controls (settings panel) keep their own arrow/space handling
+      if (e.target.closest && e.target.closest("input, select, textarea"))
+        return;
+      const key = e.key.toLowerCase();
+      // Let focused buttons / power-ups handle their own Enter & Space
+      const focused = e.target.closest && e.target.closest("button, .power-up");
+      if (focused && (key === "enter" || key === " ")) return;
+
+      const action = e.shiftKey && key === "s" ? "shuffle" : KEY_ACTIONS[key];
+      if (!action) return;
+      e.preventDefault();
+      if (e.repeat && !["up", "down", "left", "right"].includes(action)) return;
+      this.onAction(action);
+    });
+  }
+
+  _bindGamepad() {
+    window.addEventListener("gamepadconnected", (e) => {
+      console.log("Input: gamepad connected " + e.gamepad.id);
+      this._pads.set(e.gamepad.index, { pressed: new Set(), repeatAt: {} });
+      if (!this._polling) {
+        this._polling = true;
+        requestAnimationFrame(() => this._poll());
+      }
+    });
+    window.addEventListener("gamepaddisconnected", (e) => {
+      this._pads.delete(e.gamepad.index);
+    });
+  }
+
+  _poll() {
+    if (!this._pads.size) {
+      this._polling = false;
+      return;
+    }
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    const now = performance.now();
+    for (const pad of pads) {
+      if (!pad || !this._pads.has(pad.index)) continue;
+      const state = this._pads.get(pad.index);
+      const down = this._pressedActions(pad);
+
+      down.forEach((action) => {
+        const isMove = ["up", "down", "left", "right"].includes(action);
+        if (!state.pressed.has(action)) {
+          this.onAction(action);
+          state.repeatAt[action] = now + 300;
+        } else if (isMove && now >= state.repeatAt[action]) {
+          // Held D-pad / stick auto-repeats like a held arrow key
+          this.onAction(action);
+          state.repeatAt[action] = now + 120;
+        }
+      });
+      state.pressed = down;
+    }
+    requestAnimationFrame(() => this._poll());
+  }
+
+  _pressedActions(pad) {
+    const down = new Set();
+    Object.keys(GAMEPAD_ACTIONS).forEach((i) => {
+      const button = pad.buttons[i];
+      if (button && button.pressed) down.add(GAMEPAD_ACTIONS[i]);
+    });
+    // Left stick doubles as a D-pad
+    const [x = 0, y = 0] = pad.axes;
+    if (y < -0.5) down.add("up");
+    if (y > 0.5) down.add("down");
+    if (x < -0.5) down.add("left");
+    if (x > 0.5) down.add("right");
+    return down;
+  }
+}
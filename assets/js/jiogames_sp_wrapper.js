@@ -2,8 +2,6 @@
 var adSpotInterstitial = "2xaleh9i";
 var adSpotRewardedVideo = "pgvxcb6k";
 var packageName = "com.kaifoundry.digitdestroyerSP";
-var isAdReady = false;
-var isRVReady = false;
 
 var banner_ZoneKey = "jq7y6sxf";
 var bannerPackageName = "com.kaifoundry.digitdestroyerSP";
@@ -11,172 +9,95 @@ var bannerPackageName = "com.kaifoundry.digitdestroyerSP";
 //#endregion
 
 console.log("Jiogames: Initialized SDK!");
-function postScore(score) {
-  console.log("Jiogames: postScore() ", score);
-  if (!score) {
-    console.log("Jiogames: postScore() no value ", score);
-  }
-  // window.topScore is integer
-  if (window.DroidHandler) {
-    window.DroidHandler.postScore(score);
-  }
-}
 
-function cacheAdMidRoll(adKeyId, source) {
-  if (!adKeyId || !source) {
-    adKeyId
-      ? null
-      : console.log(
-          "Jiogames: cacheAdMidRoll() no adKeyId to cacheAd ",
-          adKeyId
-        );
-    source
-      ? null
-      : console.log("Jiogames: cacheAdMidRoll() no source to cacheAd ", source);
-    return;
+// Every host call goes through here: outside the JioGames app (a browser,
+// offline, or an older host missing a method) the call is logged and
+// skipped instead of throwing into game code. Returns false when skipped.
+function callHost(method) {
+  var args = Array.prototype.slice.call(arguments, 1);
+  var host = window.DroidHandler;
+  if (!host || typeof host[method] !== "function") {
+    console.log("Jiogames: host unavailable, skipped " + method);
+    return false;
   }
-  if (window.DroidHandler) {
-    window.DroidHandler.cacheAd(adKeyId, source);
+  try {
+    host[method].apply(host, args);
+    return true;
+  } catch (e) {
+    console.log("Jiogames: host call failed " + method, e);
+    return false;
   }
 }
 
-function showAdMidRoll(adKeyId, source) {
-  if (!adKeyId || !source) {
-    adKeyId
-      ? null
-      : console.log("Jiogames: showAdMidRoll() no adKeyId to showAd ", adKeyId);
-    source
-      ? null
-      : console.log("Jiogames: showAdMidRoll() no source to showAd ", source);
-    return;
+// DroidHandler.postScore takes the score alone. tag (optional) marks a
+// score from a special board, e.g. "daily:2025-01-31"; it follows as a
+// {"key":"scoreTag"} postMessage naming the same score.
+function postScore(score, tag) {
+  console.log("Jiogames: postScore() ", score, tag || "");
+  if (!score) {
+    console.log("Jiogames: postScore() no value ", score);
   }
-  if (window.DroidHandler) {
-    window.DroidHandler.showAd(adKeyId, source);
+  // window.topScore is integer
+  callHost("postScore", score);
+  if (tag) {
+    callHost(
+      "postMessage",
+      JSON.stringify({ key: "scoreTag", value: { score: score, tag: tag } })
+    );
   }
 }
 
-function cacheAdRewardedVideo(adKeyId, source) {
-  if (!adKeyId || !source) {
-    adKeyId
-      ? null
-      : console.log(
-          "Jiogames: cacheAdRewardedVideo() no adKeyId to cacheAd ",
-          adKeyId
-        );
-    source
-      ? null
-      : console.log(
-          "Jiogames: cacheAdRewardedVideo() no source to cacheAd ",
-          source
-        );
-    return;
-  }
-  if (window.DroidHandler) {
-    window.DroidHandler.cacheAdRewarded(adKeyId, source);
-  }
+// Answered by onUserProfileResponse; false when there is no host to ask
+function getUserProfile() {
+  console.log("Jiogames: getUserProfile called");
+  return callHost("getUserProfile");
 }
 
-function showAdRewardedVideo(adKeyId, source) {
-  if (!adKeyId || !source) {
-    adKeyId
-      ? null
-      : console.log(
-          "Jiogames: showAdRewardedVideo() no adKeyId to showAd ",
-          adKeyId
-        );
-    source
-      ? null
-      : console.log(
-          "Jiogames: showAdRewardedVideo() no source to showAd ",
-          source
-        );
-    return;
-  }
-  if (window.DroidHandler) {
-    window.DroidHandler.showAdRewarded(adKeyId, source);
-  }
+// Ad callbacks become "jiogames:ad" window events for AdService (ads.js):
+// { type: "prepared" | "closed" | "failed", spot, ...details }
+function hostAdEvent(type, spot, details) {
+  window.dispatchEvent(
+    new CustomEvent("jiogames:ad", { detail: { type, spot, ...details } })
+  );
 }
 
-function getUserProfile() {
-  console.log("Jiogames: getUserProfile called");
-  if (window.DroidHandler) {
-    window.DroidHandler.getUserProfile();
-  }
+// Host flags arrive as booleans or as "true" / "false" / "1" / "0" strings;
+// Boolean("false") would be true
+function hostFlag(value) {
+  return value === true || /^(true|1)$/i.test(String(value).trim());
 }
 
 window.onAdPrepared = function (adSpotKey) {
-  console.log("JioGames: onAdPrepared " + adSpotKey.toString());
-  adSpotKey == adSpotInterstitial &&
-    ((isAdReady = true),
-    console.log("JioGames: onAdPrepared MidRoll " + isAdReady));
-  adSpotKey == adSpotRewardedVideo &&
-    ((isRVReady = true),
-    console.log("JioGames: onAdPrepared RewardedVideo " + isRVReady));
+  console.log("JioGames: onAdPrepared " + adSpotKey);
+  hostAdEvent("prepared", String(adSpotKey).trim());
 };
 
+// Either (spotKey, completed, eligible) or one "spotKey,completed,eligible"
 window.onAdClosed = function (data, pIsVideoCompleted, pIsEligibleForReward) {
-  var localData = data.split(",");
-  var adSpotKey = data;
-  var isVideoCompleted = pIsVideoCompleted;
-  var isEligibleForReward = pIsEligibleForReward;
-
-  if (localData != null && localData.length > 1) {
-    adSpotKey = localData[0].trim();
-    isVideoCompleted = Boolean(localData[1].trim());
-    isEligibleForReward = Boolean(localData[2].trim());
-  }
+  var parts = String(data).split(",");
+  var adSpotKey = parts[0].trim();
+  var isVideoCompleted = parts.length > 1 ? parts[1] : pIsVideoCompleted;
+  var isEligibleForReward = parts.length > 2 ? parts[2] : pIsEligibleForReward;
   console.log(
-    "JioGames: onAdClosed " + data.toString(),
-    "localData " + localData[0] + " " + localData[1] + " " + localData[2]
+    "JioGames: onAdClosed " + data,
+    isVideoCompleted,
+    isEligibleForReward
   );
 
-  adSpotKey == adSpotInterstitial &&
-    ((isAdReady = false),
-    console.log("JioGames: onAdClose MidRoll " + isAdReady));
-  adSpotKey == adSpotRewardedVideo &&
-    ((isRVReady = false),
-    console.log("JioGames: onAdClose RewardedVideo " + isRVReady));
-
-  if (adSpotKey == adSpotRewardedVideo && isEligibleForReward) {
-    GratifyReward();
-  }
+  hostAdEvent("closed", adSpotKey, {
+    completed: hostFlag(isVideoCompleted),
+    rewarded: hostFlag(isEligibleForReward),
+  });
 };
 
+// Either (spotKey, description) or one "spotKey,description"
 window.onAdFailedToLoad = function (data, pDescription) {
-  var localData = data.split(",");
-  var adSpotKey = data;
-  var description = pDescription;
-
-  if (localData != null && localData.length > 1) {
-    adSpotKey = localData[0].trim();
-    description = localData[1].trim();
-  }
-
-  console.log(
-    "JioGames: onAdFailedToLoad " +
-      data.toString() +
-      " localData " +
-      localData[0] +
-      " " +
-      localData[1]
-  );
+  var parts = String(data).split(",");
+  var adSpotKey = parts[0].trim();
+  var description = parts.length > 1 ? parts[1].trim() : pDescription;
+  console.log("JioGames: onAdFailedToLoad " + adSpotKey, description);
 
-  adSpotKey == adSpotInterstitial &&
-    ((isAdReady = false),
-    console.log(
-      "JioGames: onAdFailedToLoad MidRoll " +
-        isAdReady +
-        " description " +
-        description
-    ));
-  adSpotKey == adSpotRewardedVideo &&
-    ((isRVReady = false),
-    console.log(
-      "JioGames: onAdFailedToLoad RewardedVideo " +
-        isRVReady +
-        " description " +
-        description
-    ));
+  hostAdEvent("failed", adSpotKey, { description: description });
 };
 
 window.onAdClick = function (adSpotKey) {};
@@ -190,77 +111,36 @@ window.onAdReceived = function (adSpotKey) {};
 window.onAdSkippable = function (adSpotKey) {};
 window.onAdView = function (adSpotKey) {};
 
+// The profile becomes a "jiogames:profile" window event for PlayerProfile
+// (profile.js)
 window.onUserProfileResponse = function (message) {
   // Sample JSON which will receive in response to getUserProfile()
   // {gamer_id: 'T9EMNU++dbtW0sdadgo83m795flags/8WaOZjdJa4x8=', gamer_name: 'Player19998', gamer_avatar_url: 'https://jiogames.net/profile_images', device_type: 'sp', dob: null}
-  const obj = JSON.parse(message);
-  console.log("gamer_id " + obj.gamer_id);
-  console.log("gamer_name " + obj.gamer_name);
-  console.log("gamer_avatar_url " + obj.gamer_avatar_url);
-  console.log("device_type " + obj.device_type);
-  console.log("dob " + obj.dob);
-  // console.log("JioGames: onUserProfileResponse "+[JSON.stringify(message)]);
+  let obj = null;
+  try {
+    obj = typeof message === "string" ? JSON.parse(message) : message;
+  } catch (e) {
+    console.log("JioGames: unreadable profile", message);
+    return;
+  }
+  console.log("JioGames: onUserProfileResponse gamer_id " + obj.gamer_id);
+  window.dispatchEvent(new CustomEvent("jiogames:profile", { detail: obj }));
 };
 
 window.onClientPause = function () {
   console.log("JioGames: onClientPause called");
-  window.pauseMusic();
+  if (window.pauseMusic) window.pauseMusic();
 };
 
 window.onClientResume = function () {
   console.log("JioGames: onClientResume called");
-  window.resumeMusic();
+  if (window.resumeMusic) window.resumeMusic();
 };
 
-function GratifyReward() {
-  console.log("JioGames: GratifyReward Game user here");
-  giveReward();
-}
-
-function cacheAd() {
-  console.log("JioGames: cacheAd called");
-  if (!isAdReady) {
-    cacheAdMidRoll(adSpotInterstitial, packageName);
-  }
-}
-function cacheAdRewarded() {
-  console.log("JioGames: cacheAdRewarded called");
-  if (!isRVReady) {
-    cacheAdRewardedVideo(adSpotRewardedVideo, packageName);
-  }
-}
-function showAd() {
-  console.log("JioGames: showAd called");
-  if (isAdReady) {
-    showAdMidRoll(adSpotInterstitial, packageName);
-  }
-}
-function showAdRewarded() {
-  console.log("JioGames: showAdRewarded called");
-  if (isRVReady) {
-    showAdRewardedVideo(adSpotRewardedVideo, packageName);
-
-    /******* CHEAT *******/
-    //         window.onAdMediaEnd(adSpotRewardedVideo, true, 1);
-    //         window.onAdClosed(adSpotRewardedVideo, true, true);
-    /******* CHEAT *******/
-  }
-}
-
-function gameCacheAd() {
-  console.log("JioGames: gameCacheAd called");
-  cacheAd();
-  setTimeout(function () {
-    cacheAdRewarded();
-  }, 5000);
-}
-
 // Banner ad impliment code
 function loadBanner() {
   console.log("JioGames: loadBanner called");
-  if (window.DroidHandler) {
-    window.DroidHandler.postMessage('{"key":"getUserProperties"}');
-  } else {
+  if (!callHost("postMessage", '{"key":"getUserProperties"}')) {
     window.onUserPropertiesResponse(
       JSON.parse('{"detail":{"uid":"","ifa":""}}')
     );
@@ -285,6 +165,19 @@ window.onUserPropertiesResponse = function (message) {
 
   document.body.appendChild(element);
 
+  // Already there (the ?mockhost stand-in): nothing to fetch
+  if (window.JioAds) {
+    callback_Banner();
+    banner_Configuration(obj);
+    return;
+  }
+
+  // Offline there is no ad SDK to fetch; the banner simply stays empty
+  if (navigator.onLine === false) {
+    console.log("JioGames: offline, banner SDK not loaded");
+    return;
+  }
+
   var script = document.createElement("script");
   script.src =
     "https://jioadsweb.akamaized.net/jioads/websdk/default/stable/v2/jioAds.js";
@@ -295,22 +188,31 @@ window.onUserPropertiesResponse = function (message) {
   };
 
   script.onerror = () => {
-    console.log("Error occurred while loading script");
+    console.log("JioGames: banner SDK failed to load");
   };
 
   document.body.appendChild(script);
 };
 
+// Null until onUserPropertiesResponse has built it
+function bannerContainer() {
+  var element = document.getElementById("bannercontainer");
+  if (!element) console.log("JioGames: no banner container");
+  return element;
+}
+
 function setTopBanner() {
   console.log("JioGames: setTopBanner");
-  var element = document.getElementById("bannercontainer");
+  var element = bannerContainer();
+  if (!element) return;
   element.style.removeProperty("bottom");
   element.style.top = "0%";
 }
 
 function setBottomBanner() {
   console.log("JioGames: setBottomBanner");
-  var element = document.getElementById("bannercontainer");
+  var element = bannerContainer();
+  if (!element) return;
   element.style.removeProperty("top");
   element.style.bottom = "0%";
 }
@@ -318,6 +220,7 @@ function setBottomBanner() {
 function banner_Configuration(obj) {
   console.log("JioGames: banner_Configuration IFA : ", obj.detail.ifa);
   console.log("JioGames: banner_Configuration UID : ", obj.detail.uid);
+  if (!window.JioAds) return;
   JioAds.setConfiguration({
     endpoint: "jioads",
     clkSelf: true,
@@ -332,29 +235,30 @@ function banner_Configuration(obj) {
 
 function showBanner() {
   console.log("JioGames: showBanner");
-  document.getElementById(
-    "bannercontainer"
-  ).innerHTML = `<ins id="uid1" data-adspot-key=${banner_ZoneKey} data-source=${bannerPackageName} data-ad-sizes="320x50"></ins>`;
+  var element = bannerContainer();
+  if (!element) return;
+  element.innerHTML = `<ins id="uid1" data-adspot-key=${banner_ZoneKey} data-source=${bannerPackageName} data-ad-sizes="320x50"></ins>`;
   setBottomBanner();
 }
 
 function showNativeBanner() {
   console.log("JioGames: showNativeBanner");
-  document.getElementById(
-    "bannercontainer"
-  ).innerHTML = `<ins id="uid1" data-adspot-key=${banner_ZoneKey} data-source=${bannerPackageName} data-ad-sizes="300x250"></ins>`;
+  var element = bannerContainer();
+  if (!element) return;
+  element.innerHTML = `<ins id="uid1" data-adspot-key=${banner_ZoneKey} data-source=${bannerPackageName} data-ad-sizes="300x250"></ins>`;
 
-  var element = document.getElementById("bannercontainer");
   element.style.removeProperty("top");
   element.style.removeProperty("bottom");
 }
 
 function hideBanner() {
   console.log("JioGames: hideBanner");
-  document.getElementById("bannercontainer").innerHTML = "";
+  var element = bannerContainer();
+  if (element) element.innerHTML = "";
 }
 
 function callback_Banner() {
+  if (!window.JioAds) return;
   JioAds.onAdFailedToLoad = function (placementId, options) {
     console.log(
       "JioGames: onAdFailedToLoad " +
@@ -364,7 +268,7 @@ function callback_Banner() {
     );
   };
   JioAds.onAdPrepared = function (placementId, adUxType) {
-    console.log("JioGames: onAdPrepared " + placemenId);
+    console.log("JioGames: onAdPrepared " + placementId);
   };
   JioAds.onAdRender = function (placementId) {
     console.log("JioGames: onAdRender " + placementId);
@@ -377,7 +281,8 @@ function callback_Banner() {
   };
   JioAds.onAdClicked = function (placementId, url) {
     console.log("JioGames: onAdClicked " + placementId + " URL : " + url);
-    window.DroidHandler.postMessage(
+    callHost(
+      "postMessage",
       '{"key":"openLink","value":{"url":"' + url + '"}}'
     );
   };
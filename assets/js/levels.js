@@ -0,0 +1,276 @@
+// === Level campaign ===
+// LEVELS is plain data (JSON-compatible), one entry per level:
+//   size       board is size x size; or
+//   rows, cols a rectangular board; or
+//   shape      rows of "." (cell) and "#" (hole), see GameEngine
+//   digits     how many different digits (0..digits-1) the board uses
+//   time       seconds on the clock
+//   timeBonus  seconds added for every group of 5 or more
+//   specials   spawn rate per special tile type (see SPECIAL_TILES)
+//   objective  what completes the level:
+//                { type: "score", target }         reach the score
+//                { type: "clear", digit, count }   clear that many of a digit
+//                { type: "group", size }           clear one group that big
+//                { type: "combo", combo }          reach that combo
+//                { type: "locks", count }          break that many locks
+// Stars come from the time left on completion; each level unlocks once
+// the one before has at least one star.
+
+const LEVELS = [
+  {
+    level: 1,
+    size: 6,
+    digits: 5,
+    time: 60,
+    timeBonus: 2,
+    specials: {},
+    objective: { type: "score", target: 800 },
+  },
+  {
+    level: 2,
+    size: 6,
+    digits: 6,
+    time: 60,
+    timeBonus: 2,
+    specials: { x2: 0.03 },
+    objective: { type: "clear", digit: 3, count: 15 },
+  },
+  {
+    level: 3,
+    rows: 8,
+    cols: 6,
+    digits: 6,
+    time: 60,
+    timeBonus: 2,
+    specials: { x2: 0.03 },
+    objective: { type: "group", size: 6 },
+  },
+  {
+    level: 4,
+    size: 7,
+    digits: 7,
+    time: 60,
+    timeBonus: 2,
+    specials: { x2: 0.03, wild: 0.02 },
+    objective: { type: "score", target: 1500 },
+  },
+  {
+    level: 5,
+    size: 7,
+    digits: 7,
+    time: 60,
+    timeBonus: 2,
+    specials: { wild: 0.03 },
+    objective: { type: "combo", combo: 3 },
+  },
+  {
+    level: 6,
+    size: 7,
+    digits: 8,
+    time: 70,
+    timeBonus: 2,
+    specials: { bomb: 0.02 },
+    objective: { type: "clear", digit: 7, count: 20 },
+  },
+  {
+    level: 7,
+    digits: 8,
+    time: 70,
+    timeBonus: 2,
+    shape: [
+      "##....##",
+      "#......#",
+      "........",
+      "...##...",
+      "...##...",
+      "........",
+      "#......#",
+      "##....##",
+    ],
+    specials: { bomb: 0.02, x2: 0.02 },
+    objective: { type: "group", size: 8 },
+  },
+  {
+    level: 8,
+    size: 8,
+    digits: 8,
+    time: 70,
+    timeBonus: 2,
+    specials: { lock: 0.03 },
+    objective: { type: "locks", count: 4 },
+  },
+  {
+    level: 9,
+    size: 8,
+    digits: 9,
+    time: 75,
+    timeBonus: 3,
+    specials: { lock: 0.03, wild: 0.02 },
+    objective: { type: "score", target: 2500 },
+  },
+  {
+    level: 10,
+    rows: 10,
+    cols: 6,
+    digits: 9,
+    time: 75,
+    timeBonus: 3,
+    specials: { bomb: 0.03, lock: 0.03 },
+    objective: { type: "clear", digit: 5, count: 25 },
+  },
+  {
+    level: 11,
+    size: 8,
+    digits: 10,
+    time: 80,
+    timeBonus: 3,
+    specials: { x2: 0.03, wild: 0.02, bomb: 0.02 },
+    objective: { type: "combo", combo: 4 },
+  },
+  {
+    level: 12,
+    size: 8,
+    digits: 10,
+    time: 80,
+    timeBonus: 3,
+    specials: { lock: 0.04, bomb: 0.02 },
+    objective: { type: "locks", count: 8 },
+  },
+  {
+    level: 13,
+    digits: 10,
+    time: 90,
+    timeBonus: 3,
+    shape: [
+      "........",
+      "........",
+      "..#..#..",
+      "........",
+      "........",
+      "#......#",
+      "##....##",
+      "###..###",
+      "........",
+      "........",
+    ],
+    specials: { x2: 0.02, wild: 0.02, bomb: 0.02, lock: 0.02 },
+    objective: { type: "group", size: 10 },
+  },
+  {
+    level: 14,
+    size: 8,
+    digits: 10,
+    time: 90,
+    timeBonus: 3,
+    specials: { x2: 0.025, wild: 0.025, bomb: 0.025, lock: 0.025 },
+    objective: { type: "clear", digit: 9, count: 30 },
+  },
+  {
+    level: 15,
+    rows: 12,
+    cols: 10,
+    digits: 10,
+    time: 90,
+    timeBonus: 4,
+    specials: { x2: 0.03, wild: 0.03, bomb: 0.03, lock: 0.03 },
+    objective: { type: "score", target: 5000 },
+  },
+];
+
+const Levels = {
+  storageKey: "levels",
+  list: LEVELS,
+
+  get(n) {
+    return this.list.find((l) => l.level === Number(n)) || null;
+  },
+
+  // GameEngine options for playing a level (no level-ups inside it)
+  engineOptions(def) {
+    return {
+      size: def.size,
+      rows: def.rows,
+      cols: def.cols,
+      shape: def.shape,
+      digits: def.digits,
+      timeLimit: def.time,
+      startLevel: def.level,
+      maxLevel: def.level,
+      specialTiles: Object.keys(def.specials).map((type) => ({
+        type,
+        fromLevel: def.level,
+        rate: def.specials[type],
+        ...(type === "lock" ? { hits: 2 } : {}),
+      })),
+    };
+  },
+
+  describe({ type, target, digit, count, size, combo }) {
+    const names = [
+      "zeros",
+      "ones",
+      "twos",
+      "threes",
+      "fours",
+      "fives",
+      "sixes",
+      "sevens",
+      "eights",
+      "nines",
+    ];
+    switch (type) {
+      case "score":
+        return `Score ${target.toLocaleString()} points`;
+      case "clear":
+        return `Clear ${count} ${names[digit]}`;
+      case "group":
+        return `Clear a group of ${size}`;
+      case "combo":
+        return `Reach a x${combo} combo`;
+      case "locks":
+        return `Break ${count} locks`;
+    }
+    return "";
+  },
+
+  // { current, target, done } for the engine's progress on an objective
+  progress(objective, engine) {
+    const { stats } = engine;
+    const [current, target] = {
+      score: () => [engine.score, objective.target],
+      clear: () => [stats.clearedDigits[objective.digit], objective.count],
+      group: () => [stats.largestGroup, objective.size],
+      combo: () => [stats.bestCombo, objective.combo],
+      locks: () => [stats.locksBroken, objective.count],
+    }[objective.type]();
+    return {
+      current: Math.min(current, target),
+      target,
+      done: current >= target,
+    };
+  },
+
+  // 3 stars with half the clock left, 2 with a quarter, else 1
+  starsFor(timeLeft, time) {
+    const left = timeLeft / time;
+    return left >= 0.5 ? 3 : left >= 0.25 ? 2 : 1;
+  },
+
+  // { level: stars } for every completed level
+  record() {
+    return GameStorage.get(this.storageKey, {});
+  },
+
+  isUnlocked(n) {
+    return n === 1 || (this.record()[n - 1] || 0) > 0;
+  },
+
+  // Keeps the best star count; returns true when it improved
+  complete(n, stars) {
+    const rec = this.record();
+    if ((rec[n] || 0) >= stars) return false;
+    rec[n] = stars;
+    GameStorage.set(this.storageKey, rec);
+    return true;
+  },
+};
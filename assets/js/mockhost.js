@@ -0,0 +1,257 @@
+// === Mock JioGames host (local development and tests) ===
+// ?mockhost (on either page) installs a fake window.DroidHandler (and a
+// stub JioAds banner SDK) so the ad, score and profile flow runs in a plain
+// browser.
+// Every host call is recorded in MockHost.calls and answered with the
+// callbacks the real app fires, after the preset's delays. The flag sticks
+// for the tab (in-game links drop the query string); ?mockhost=off clears it.
+//   ?mockhost         ads fill quickly, rewarded videos are watched through
+//   ?mockhost=nofill  every ad load fails
+//   ?mockhost=skip    rewarded videos are closed early (no reward)
+//   ?mockhost=slow    long fill, ad and profile delays
+// A small panel on screen sends pause / resume and flips fill and reward;
+// MockHost.script([[ms, "pause"], [ms, "resume"]]) does the same on a timer.
+
+const MOCK_HOST_PRESETS = {
+  default: {
+    fill: true, // cacheAd → onAdPrepared (else onAdFailedToLoad)
+    fillDelay: 800,
+    completeVideo: true, // rewarded closes as watched and eligible
+    adLength: 1500, // showAd → onAdClosed
+    profileDelay: 300,
+    profile: {
+      gamer_id: "mock-gamer-0001",
+      gamer_name: "MockPlayer",
+      gamer_avatar_url: "",
+      device_type: "sp",
+      dob: null,
+    },
+  },
+  nofill: { fill: false },
+  skip: { completeVideo: false },
+  slow: { fillDelay: 5000, adLength: 4000, profileDelay: 3000 },
+};
+
+const MockHost = {
+  storageKey: "digitdestroyer:mockhost", // sessionStorage, this tab only
+  options: null, // preset in use, null when not installed
+  preset: null,
+  calls: [], // { at, name, args }; host calls and the callbacks fired
+  _prepared: new Set(),
+  _t0: Date.now(),
+
+  get enabled() {
+    return this.options !== null;
+  },
+
+  init() {
+    const params = new URLSearchParams(location.search);
+    let preset = params.has("mockhost")
+      ? params.get("mockhost") || "default"
+      : this._remembered();
+    if (!preset || preset === "off") {
+      this._remember(null);
+      return;
+    }
+    if (window.DroidHandler) {
+      console.log("MockHost: real host present, mock not installed");
+      return;
+    }
+    if (!MOCK_HOST_PRESETS[preset]) preset = "default";
+    this._remember(preset);
+    this.install(preset);
+  },
+
+  install(preset = "default") {
+    this.options = {
+      ...MOCK_HOST_PRESETS.default,
+      ...MOCK_HOST_PRESETS[preset],
+    };
+    this.preset = preset;
+    window.DroidHandler = this.handler();
+    window.JioAds = this.jioAds();
+    console.log("MockHost: installed (" + preset + ")");
+    if (document.body) this.showPanel();
+    else
+      document.addEventListener("DOMContentLoaded", () => this.showPanel());
+  },
+
+  // Same methods the JioGames app injects as window.DroidHandler
+  handler() {
+    return {
+      postScore: (...args) => this.record("postScore", args),
+      cacheAd: (...args) => this._cache("cacheAd", args),
+      cacheAdRewarded: (...args) => this._cache("cacheAdRewarded", args),
+      showAd: (...args) => this._show("showAd", args, false),
+      showAdRewarded: (...args) => this._show("showAdRewarded", args, true),
+      getUserProfile: () => {
+        this.record("getUserProfile", []);
+        this.later(this.options.profileDelay, "onUserProfileResponse", [
+          JSON.stringify(this.options.profile),
+        ]);
+      },
+      postMessage: (message) => {
+        this.record("postMessage", [message]);
+        let key = null;
+        try {
+          key = JSON.parse(message).key;
+        } catch (e) {
+          console.log("MockHost: unreadable postMessage", message);
+        }
+        if (key === "getUserProperties")
+          this.later(this.options.profileDelay, "onUserPropertiesResponse", [
+            { detail: { uid: "mock-uid", ifa: "mock-ifa" } },
+          ]);
+      },
+    };
+  },
+
+  // Stand-in for the banner SDK so loadBanner never reaches the CDN
+  jioAds() {
+    return {
+      setConfiguration: (config) =>
+        this.record("JioAds.setConfiguration", [config]),
+    };
+  },
+
+  _cache(name, [spot, source]) {
+    this.record(name, [spot, source]);
+    if (this.options.fill) {
+      this.later(this.options.fillDelay, "onAdPrepared", [spot], () =>
+        this._prepared.add(spot)
+      );
+    } else {
+      this.later(this.options.fillDelay, "onAdFailedToLoad", [
+        `${spot},mock no fill`,
+      ]);
+    }
+  },
+
+  _show(name, [spot, source], rewarded) {
+    this.record(name, [spot, source]);
+    if (!this._prepared.has(spot)) {
+      console.log("MockHost: " + name + " before the ad was prepared");
+      return;
+    }
+    this._prepared.delete(spot);
+    const watched = !rewarded || this.options.completeVideo;
+    // The host reports close as "spotKey,completed,eligible"
+    this.later(this.options.adLength, "onAdClosed", [
+      `${spot},${watched},${rewarded && watched}`,
+    ]);
+  },
+
+  // ---------- Callbacks ----------
+  fire(callback, args = []) {
+    this.record("→ " + callback, args);
+    if (typeof window[callback] === "function") window[callback](...args);
+    else console.log("MockHost: no " + callback + " handler");
+  },
+
+  later(ms, callback, args, before) {
+    setTimeout(() => {
+      if (before) before();
+      this.fire(callback, args);
+    }, ms);
+  },
+
+  pause() {
+    this.fire("onClientPause");
+  },
+
+  resume() {
+    this.fire("onClientResume");
+  },
+
+  // Timed lifecycle events: [[ms from now, "pause" | "resume"], ...]
+  script(steps) {
+    steps.forEach(([ms, step]) => setTimeout(() => this[step](), ms));
+  },
+
+  record(name, args) {
+    this.calls.push({ at: Date.now() - this._t0, name, args });
+    console.log("MockHost: " + name, ...args);
+    this.renderLog();
+  },
+
+  // Calls so far with this name (host method, or "→ onAdClosed" etc.)
+  callsTo(name) {
+    return this.calls.filter((c) => c.name === name);
+  },
+
+  reset() {
+    this.calls = [];
+    this._prepared.clear();
+    this.renderLog();
+  },
+
+  // ---------- Control panel ----------
+  showPanel() {
+    if (document.getElementById("mockHostPanel")) return;
+    const panel = document.createElement("div");
+    panel.id = "mockHostPanel";
+    panel.className = "mock-host-panel";
+    panel.innerHTML = `
+      <div class="mock-host-title">Mock host · ${this.preset}</div>
+      <div class="mock-host-buttons">
+        <button data-mock="pause">Pause</button>
+        <button data-mock="resume">Resume</button>
+        <button data-mock="fill"></button>
+        <button data-mock="completeVideo"></button>
+        <button data-mock="reset">Clear</button>
+      </div>
+      <ol class="mock-host-log" id="mockHostLog"></ol>`;
+    panel.addEventListener("click", (e) => {
+      const action = e.target.dataset && e.target.dataset.mock;
+      if (!action) return;
+      if (action === "fill" || action === "completeVideo") {
+        this.options[action] = !this.options[action];
+        this.renderToggles();
+      } else {
+        this[action]();
+      }
+    });
+    document.body.appendChild(panel);
+    this.renderToggles();
+    this.renderLog();
+  },
+
+  renderToggles() {
+    const label = { fill: "Fill", completeVideo: "Watch RV" };
+    Object.keys(label).forEach((key) => {
+      const btn = document.querySelector(`[data-mock="${key}"]`);
+      if (btn)
+        btn.textContent = `${label[key]}: ${this.options[key] ? "on" : "off"}`;
+    });
+  },
+
+  renderLog() {
+    const log = document.getElementById("mockHostLog");
+    if (!log) return;
+    log.innerHTML = "";
+    this.calls.slice(-6).forEach(({ at, name }) => {
+      const item = document.createElement("li");
+      item.textContent = `${(at / 1000).toFixed(1)}s ${name}`;
+      log.appendChild(item);
+    });
+  },
+
+  _remembered() {
+    try {
+      return window.sessionStorage.getItem(this.storageKey);
+    } catch (e) {
+      return null;
+    }
+  },
+
+  _remember(preset) {
+    try {
+      if (preset) window.sessionStorage.setItem(this.storageKey, preset);
+      else window.sessionStorage.removeItem(this.storageKey);
+    } catch (e) {
+      console.log("MockHost: can't remember the flag", e);
+    }
+  },
+};
+
+MockHost.init();
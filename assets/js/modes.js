@@ -0,0 +1,86 @@
+// === Game modes ===
+// A mode is data: GameEngine options (timer, move limit, scoring), which
+// power-ups can spawn, what ends the game and what the HUD's clock slot
+// shows. DigitDestroyer reads it; HighScores keeps a table per mode.
+//   engine        overrides for GameEngine (timeLimit null = no countdown,
+//                 shuffleLimit / hintLimit = uses per game)
+//   shuffleCost   what each shuffle costs: { time } seconds (added to the
+//                 clock when counting up) and/or { moves: 1 } for a move
+//   powerUps      spawnable subset of POWER_UP_TYPES (default: all)
+//   endOnInvalid  first invalid click ends the game
+//   deadBoard     "shuffle" (default) reshuffles a board with no group of
+//                 2+ for free; "end" ends the game instead, once the
+//                 player has no shuffles left to rescue it
+//   targetScore   game ends on reaching it; with rankBy "time" the
+//                 fastest finish ranks first
+//   hud(engine)   { label, value } for the clock slot
+
+const GameModes = {
+  list: [
+    {
+      id: "classic",
+      name: "Classic",
+      icon: "⏱️",
+      description: "Score as much as you can before the clock runs out.",
+      engine: { shuffleLimit: 3, hintLimit: 3 },
+      shuffleCost: { time: 5 },
+      hud: (engine) => ({ label: "Time", value: engine.timeLeft }),
+    },
+    {
+      id: "zen",
+      name: "Zen",
+      icon: "🧘",
+      description:
+        "No clock and no combos. Play until no moves or shuffles are left.",
+      engine: {
+        timeLimit: null,
+        comboWindow: 0,
+        shuffleLimit: 3,
+        hintLimit: 5,
+      },
+      powerUps: ["💣", "🎯", "🔥"],
+      deadBoard: "end",
+      hud: (engine) => ({ label: "Groups", value: engine.movesAvailable() }),
+    },
+    {
+      id: "moves",
+      name: "Moves",
+      icon: "👆",
+      description: "30 clicks, valid or not. Make every one count.",
+      engine: {
+        timeLimit: null,
+        moveLimit: 30,
+        shuffleLimit: 3,
+        hintLimit: 3,
+      },
+      shuffleCost: { moves: 1 },
+      powerUps: ["💣", "🎯", "⭐", "🔥"],
+      hud: (engine) => ({ label: "Moves", value: engine.movesLeft }),
+    },
+    {
+      id: "target",
+      name: "Target",
+      icon: "🎯",
+      description: "Reach 3,000 points as fast as you can.",
+      engine: { timeLimit: null, shuffleLimit: 3, hintLimit: 3 },
+      shuffleCost: { time: 5 },
+      powerUps: ["💣", "⭐", "🔥"],
+      targetScore: 3000,
+      rankBy: "time",
+      hud: (engine) => ({ label: "Time", value: `${engine.elapsed}s` }),
+    },
+    {
+      id: "sudden",
+      name: "Sudden Death",
+      icon: "💀",
+      description: "Points x1.5, but one invalid click ends the game.",
+      engine: { scoreMultiplier: 1.5, shuffleLimit: 1, hintLimit: 1 },
+      endOnInvalid: true,
+      hud: (engine) => ({ label: "Time", value: engine.timeLeft }),
+    },
+  ],
+
+  get(id) {
+    return this.list.find((m) => m.id === id) || this.list[0];
+  },
+};
@@ -0,0 +1,156 @@
+// === Procedural background music (Web Audio, no files) ===
+// A four-chord loop scheduled ahead on the audio clock. Tempo rises with
+// the level, layers are added as the game heats up, and the last ten
+// seconds push it into a faster "urgent" feel. Shares SoundManager's
+// context and master volume but has its own gain (Settings.musicVolume).
+
+const MUSIC_PROGRESSION = [
+  [220.0, 261.63, 329.63], // Am
+  [174.61, 220.0, 261.63], // F
+  [261.63, 329.63, 392.0], // C
+  [196.0, 246.94, 293.66], // G
+];
+
+class MusicEngine {
+  constructor(sound) {
+    this.sound = sound;
+    this.ctx = sound.ctx;
+    this.gain = null;
+    this.level = 1;
+    this.urgent = false;
+    this.playing = false;
+    this.paused = false;
+    this._step = 0;
+    this._nextTime = 0;
+    this._timer = null;
+    this._hatBuffer = null;
+
+    if (this.ctx) {
+      this.gain = this.ctx.createGain();
+      this.gain.gain.value = Settings.get("musicVolume") / 100;
+      this.gain.connect(sound.masterGain);
+    }
+    Settings.onChange("musicVolume", (v) => this.setVolume(v / 100));
+  }
+
+  // Beats per minute follow the level; urgent adds a quarter on top
+  get tempo() {
+    const bpm = Math.min(160, 96 + (this.level - 1) * 4);
+    return this.urgent ? bpm * 1.25 : bpm;
+  }
+
+  setVolume(v) {
+    if (this.gain) this.gain.gain.value = v;
+  }
+
+  setLevel(level) {
+    this.level = level;
+  }
+
+  setUrgent(on) {
+    this.urgent = on;
+  }
+
+  start(level = 1) {
+    if (!this.ctx) return;
+    this.level = level;
+    this.urgent = false;
+    this.playing = true;
+    this.paused = false;
+    this._step = 0;
+    this._nextTime = this.ctx.currentTime + 0.05;
+    this._run();
+  }
+
+  stop() {
+    this.playing = false;
+    this.paused = false;
+    this._halt();
+  }
+
+  pause() {
+    if (!this.playing || this.paused) return;
+    this.paused = true;
+    this._halt();
+  }
+
+  resume() {
+    if (!this.playing || !this.paused) return;
+    this.paused = false;
+    this._nextTime = this.ctx.currentTime + 0.05;
+    this._run();
+  }
+
+  _run() {
+    this._halt();
+    this._timer = setInterval(() => this._schedule(), 25);
+  }
+
+  _halt() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  // Look-ahead scheduling so timer jitter never reaches the beat
+  _schedule() {
+    while (this._nextTime < this.ctx.currentTime + 0.12) {
+      this._playStep(this._step, this._nextTime);
+      this._nextTime += 60 / this.tempo / 2;
+      this._step = (this._step + 1) % 32;
+    }
+  }
+
+  _playStep(step, t) {
+    const chord = MUSIC_PROGRESSION[Math.floor(step / 8)];
+    const eighth = 60 / this.tempo / 2;
+    const hot = this.urgent || this.level >= 5;
+
+    // Pad at the top of each bar, bass on every beat
+    if (step % 8 === 0) {
+      chord.forEach((f) => this._note(f, t, eighth * 8, "sine", 0.06));
+    }
+    if (step % 2 === 0) {
+      this._note(chord[0] / 2, t, eighth * 1.5, "triangle", 0.22);
+    }
+    // Arpeggio joins from level 3, hi-hats from level 5 or the final countdown
+    if (this.level >= 3 || this.urgent) {
+      this._note(chord[step % 3] * 2, t, eighth * 0.8, "square", 0.05);
+    }
+    if (hot && step % 2 === 1) this._hat(t);
+  }
+
+  _note(freq, t, duration, type, gain) {
+    const osc = this.ctx.createOscillator();
+    const g = this.ctx.createGain();
+    osc.type = type;
+    osc.frequency.setValueAtTime(freq, t);
+    g.gain.setValueAtTime(0, t);
+    g.gain.linearRampToValueAtTime(gain, t + 0.01);
+    g.gain.exponentialRampToValueAtTime(0.0001, t + duration);
+    osc.connect(g);
+    g.connect(this.gain);
+    osc.start(t);
+    osc.stop(t + duration + 0.02);
+  }
+
+  _hat(t) {
+    if (!this._hatBuffer) {
+      const len = Math.floor(this.ctx.sampleRate * 0.05);
+      this._hatBuffer = this.ctx.createBuffer(1, len, this.ctx.sampleRate);
+      const data = this._hatBuffer.getChannelData(0);
+      for (let i = 0; i < len; i++) data[i] = Math.random() * 2 - 1;
+    }
+    const src = this.ctx.createBufferSource();
+    src.buffer = this._hatBuffer;
+    const filter = this.ctx.createBiquadFilter();
+    filter.type = "highpass";
+    filter.frequency.value = 7000;
+    const g = this.ctx.createGain();
+    g.gain.setValueAtTime(0.08, t);
+    g.gain.exponentialRampToValueAtTime(0.0001, t + 0.05);
+    src.connect(filter);
+    filter.connect(g);
+    g.connect(this.gain);
+    src.start(t);
+  }
+}
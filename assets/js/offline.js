@@ -0,0 +1,49 @@
+// === Service worker registration ===
+// Both pages register sw.js so the game is cached from whichever one the
+// player opens first. onUpdate fires when a newer worker has installed and
+// is waiting; call the function it receives to switch over and reload.
+
+const Offline = {
+  register({ onUpdate } = {}) {
+    if (!("serviceWorker" in navigator)) return;
+    // Service workers need http(s); opening the files directly still works,
+    // just without the offline cache
+    if (!/^https?:$/.test(location.protocol)) return;
+
+    window.addEventListener("load", () => {
+      navigator.serviceWorker
+        .register("./sw.js")
+        .then((reg) => Offline._watch(reg, onUpdate))
+        .catch((err) => console.log("Offline: registration failed", err));
+    });
+  },
+
+  _watch(reg, onUpdate) {
+    if (!onUpdate) return;
+    const offer = (worker) =>
+      onUpdate(() => {
+        let reloading = false;
+        navigator.serviceWorker.addEventListener("controllerchange", () => {
+          if (reloading) return;
+          reloading = true;
+          location.reload();
+        });
+        worker.postMessage({ type: "SKIP_WAITING" });
+      });
+
+    // Already waiting from an earlier visit
+    if (reg.waiting && navigator.serviceWorker.controller) {
+      offer(reg.waiting);
+      return;
+    }
+    reg.addEventListener("updatefound", () => {
+      const worker = reg.installing;
+      if (!worker) return;
+      worker.addEventListener("statechange", () => {
+        // No controller means this is the first install, not an update
+        if (worker.state === "installed" && navigator.serviceWorker.controller)
+          offer(worker);
+      });
+    });
+  },
+};
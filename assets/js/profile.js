@@ -0,0 +1,104 @@
+// === Player profile ===
+// Who is playing, from the JioGames host (getUserProfile, answered as a
+// "jiogames:profile" event by the wrapper). Storage is per player, and
+// pages read it while loading, so the namespace is picked at boot from the
+// profile cached last time; the host's answer only refreshes that cache.
+// Outside the app (no host) everyone plays as the guest. Under ?mockhost
+// the fake profile is cached apart and never takes over the guest's saves.
+// PlayerProfile.onChange(fn) calls fn(profile, switched) on every answer;
+// switched means it names another player than the page booted with, whose
+// saves aren't loaded: reload once that's safe.
+
+const GUEST_PROFILE = {
+  gamer_id: "guest",
+  gamer_name: "Guest",
+  gamer_avatar_url: "",
+};
+
+const PlayerProfile = {
+  storageKey: "profile",
+  mockKey: "mockprofile", // storageKey's stand-in under ?mockhost
+  ownerKey: "guestowner", // player who inherited the pre-profile saves
+  current: GUEST_PROFILE,
+  _listeners: [],
+
+  get _cacheKey() {
+    return MockHost.enabled ? this.mockKey : this.storageKey;
+  },
+
+  get isGuest() {
+    return this.current.gamer_id === GUEST_PROFILE.gamer_id;
+  },
+
+  init() {
+    if (!window.DroidHandler) {
+      this._use(GUEST_PROFILE);
+      return;
+    }
+    this._use(GameStorage.get(this._cacheKey) || GUEST_PROFILE);
+    window.addEventListener("jiogames:profile", (e) => this.receive(e.detail));
+    getUserProfile();
+  },
+
+  receive(profile) {
+    if (!profile || !profile.gamer_id) {
+      console.log("PlayerProfile: no gamer_id in the host's profile", profile);
+      return;
+    }
+    const fresh = {
+      gamer_id: String(profile.gamer_id),
+      gamer_name: profile.gamer_name || "Player",
+      gamer_avatar_url: profile.gamer_avatar_url || "",
+    };
+    GameStorage.set(this._cacheKey, fresh);
+    const switched = fresh.gamer_id !== this.current.gamer_id;
+    if (!switched) this.current = fresh;
+    this._listeners.forEach((fn) => fn(fresh, switched));
+  },
+
+  onChange(fn) {
+    this._listeners.push(fn);
+  },
+
+  _use(profile) {
+    this.current = profile;
+    GameStorage.namespace = this.isGuest ? "" : `@${profile.gamer_id}:`;
+    if (!this.isGuest && !MockHost.enabled) this._inheritGuestSaves();
+  },
+
+  // The first player signed in on this device takes over what was saved
+  // before profiles existed, so updating doesn't lose their progress
+  _inheritGuestSaves() {
+    if (GameStorage.get(this.ownerKey)) return;
+    GameStorage.set(this.ownerKey, this.current.gamer_id);
+    GameStorage.copy("", GameStorage.namespace);
+  },
+
+  // Avatar and name; the name's initial stands in for a missing or broken
+  // avatar (the host may send a bare directory URL, and offline none loads)
+  renderBadge(container) {
+    const { gamer_name, gamer_avatar_url } = this.current;
+    const initial = this.isGuest ? "👤" : gamer_name.charAt(0).toUpperCase();
+    const fallback = () => {
+      const badge = document.createElement("span");
+      badge.className = "player-avatar";
+      badge.textContent = initial;
+      return badge;
+    };
+    let avatar = fallback();
+    if (gamer_avatar_url) {
+      avatar = document.createElement("img");
+      avatar.className = "player-avatar";
+      avatar.alt = "";
+      avatar.src = gamer_avatar_url;
+      avatar.onerror = () => avatar.replaceWith(fallback());
+    }
+    const name = document.createElement("span");
+    name.className = "player-name";
+    name.textContent = gamer_name;
+    container.replaceChildren(avatar, name);
+    container.title = this.isGuest ? "Playing as guest" : gamer_name;
+  },
+};
+
+PlayerProfile.init();
@@ -0,0 +1,134 @@
+// === Replays: record every move of a game and play it back ===
+// A replay is the game mode (and campaign level, if any) and engine
+// snapshot at game start plus a list of events [ms since start, timeLeft, kind, ...args]:
+//   "c" row col   cell click (valid or not)
+//   "p" index     power-up activation (index into POWER_UP_TYPES)
+//   "s" [1]       shuffle (1: free, from a rewarded video)
+//   "v"           rewarded continue after running out of time or moves
+//   "d"           rewarded double score on the game-over screen
+//   "e"           game end
+// Board randomness is drawn in event order, so re-running the events
+// through the same pipeline reproduces the game exactly.
+
+class ReplayRecorder {
+  constructor() {
+    this.replay = null;
+    this._t0 = 0;
+  }
+
+  start(engine, mode = "classic", level = null) {
+    this._t0 = Date.now();
+    this.replay = { v: 1, mode, start: engine.serialize(), events: [] };
+    if (level) this.replay.level = level;
+  }
+
+  // Picks up a recording saved mid-game (see SavedSession); elapsed keeps
+  // the timestamps continuous across the gap
+  resume(replay, elapsed) {
+    this.replay = replay;
+    this._t0 = Date.now() - elapsed;
+  }
+
+  elapsed() {
+    return Date.now() - this._t0;
+  }
+
+  log(engine, kind, ...args) {
+    if (!this.replay) return;
+    this.replay.events.push([
+      Date.now() - this._t0,
+      engine.timeLeft,
+      kind,
+      ...args,
+    ]);
+  }
+
+  finish(engine) {
+    if (!this.replay) return null;
+    this.log(engine, "e");
+    this.replay.score = engine.score;
+    const done = this.replay;
+    this.replay = null;
+    return done;
+  }
+
+  // Compact URL-safe string (base64url of the JSON)
+  static encode(replay) {
+    const json = JSON.stringify(replay);
+    const b64 = btoa(unescape(encodeURIComponent(json)));
+    return b64.replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  static decode(code) {
+    const b64 = code.replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(decodeURIComponent(escape(atob(b64))));
+  }
+
+  // Whether a decoded replay has what playback needs; a code can decode
+  // to any JSON
+  static isValid(replay) {
+    if (!replay || typeof replay !== "object") return false;
+    const { mode, level, score, start, events } = replay;
+    return (
+      typeof mode === "string" &&
+      typeof score === "number" &&
+      (level === undefined || !!Levels.get(level)) &&
+      !!start &&
+      Array.isArray(start.grid) &&
+      start.grid.every(Array.isArray) &&
+      !!start.stats &&
+      Array.isArray(events) &&
+      events.every((e) => Array.isArray(e) && e.length >= 3)
+    );
+  }
+}
+
+class ReplayPlayer {
+  constructor(game, replay, { onProgress = () => {}, maxDelay = 2000 } = {}) {
+    this.game = game;
+    this.replay = replay;
+    this.onProgress = onProgress;
+    this.maxDelay = maxDelay;
+    this.index = 0;
+    this.playing = false;
+    this._timer = null;
+  }
+
+  get done() {
+    return this.index >= this.replay.events.length;
+  }
+
+  play() {
+    if (this.playing || this.done) return;
+    this.playing = true;
+    this._scheduleNext();
+    this.onProgress(this);
+  }
+
+  pause() {
+    this.playing = false;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    this.onProgress(this);
+  }
+
+  step() {
+    if (this.done) return;
+    const event = this.replay.events[this.index++];
+    this.game.applyReplayEvent(event);
+    if (this.done) this.playing = false;
+    this.onProgress(this);
+  }
+
+  // Real-time gaps between events, capped so idle stretches don't drag
+  _scheduleNext() {
+    if (!this.playing || this.done) return;
+    const prev = this.index > 0 ? this.replay.events[this.index - 1][0] : 0;
+    const next = this.replay.events[this.index][0];
+    const delay = Math.min(this.maxDelay, Math.max(0, next - prev));
+    this._timer = setTimeout(() => {
+      this.step();
+      this._scheduleNext();
+    }, delay);
+  }
+}
@@ -0,0 +1,101 @@
+// === Rewarded-video offers ===
+// What a rewarded video can buy. The picker lists the offers that apply
+// right now: "playing" ones in the panel under the board, "gameover" ones
+// on the game-over overlay. grant(game) runs only once the ad closes as
+// eligible for a reward. Every offer counts how often it was shown,
+// picked and granted (RewardOffers.stats(), kept in storage).
+//   when        "playing" or "gameover"
+//   available   (game) => whether it makes sense for this game right now
+//   unfair      true if it changes the score or the clock (directly or by
+//               saving a shuffle's cost); never offered on a Daily Challenge,
+//               whose scores are compared between players
+//   grant       (game) => applies it
+
+const REWARD_OFFERS = [
+  {
+    id: "time",
+    icon: "⏱️",
+    label: "+20 seconds",
+    when: "playing",
+    unfair: true,
+    available: (game) => game.timeLeft !== null,
+    grant: (game) => game.engine.addTime(20),
+  },
+  {
+    id: "hints",
+    icon: "💡",
+    label: `+${HINT_REWARD} hints`,
+    when: "playing",
+    available: (game) => game.engine.hintsLeft !== null,
+    grant: (game) => game.engine.addHints(HINT_REWARD),
+  },
+  {
+    id: "shuffle",
+    icon: "🔄",
+    label: "Free shuffle",
+    when: "playing",
+    unfair: true,
+    available: () => true,
+    grant: (game) => game.shuffleGrid({ free: true }),
+  },
+  {
+    id: "powerup",
+    icon: "🎁",
+    label: "Power-up",
+    when: "playing",
+    unfair: true,
+    available: () => true,
+    grant: (game) => game.spawnRewardPowerUp(),
+  },
+  {
+    id: "revive",
+    icon: "❤️",
+    label: "Continue this board",
+    when: "gameover",
+    unfair: true,
+    available: (game) => game.canRevive(),
+    grant: (game) => game.revive(),
+  },
+  {
+    id: "double",
+    icon: "💰",
+    label: "Double final score",
+    when: "gameover",
+    unfair: true,
+    available: (game) => !game.levelDef && !game.mode.targetScore,
+    grant: (game) => game.doubleScore(),
+  },
+];
+
+const RewardOffers = {
+  storageKey: "rewardstats",
+  list: REWARD_OFFERS,
+
+  get(id) {
+    return this.list.find((o) => o.id === id) || null;
+  },
+
+  // Offers for this moment; `only` narrows them (e.g. ["hints"])
+  available(game, when, only = null) {
+    return this.list.filter(
+      (o) =>
+        o.when === when &&
+        (!only || only.includes(o.id)) &&
+        !(o.unfair && game.daily) &&
+        o.available(game)
+    );
+  },
+
+  // event: "offered", "chosen" or "granted"
+  track(id, event) {
+    const stats = this.stats();
+    stats[id] = { offered: 0, chosen: 0, granted: 0, ...stats[id] };
+    stats[id][event]++;
+    GameStorage.set(this.storageKey, stats);
+  },
+
+  // { id: { offered, chosen, granted } }
+  stats() {
+    return GameStorage.get(this.storageKey, {});
+  },
+};
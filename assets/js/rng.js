@@ -0,0 +1,55 @@
+// === Seeded RNG (mulberry32) ===
+// Every gameplay decision draws from one of these so a seed + the same
+// clicks always reproduce the same boards, refills and power-ups.
+
+class SeededRandom {
+  constructor(seed) {
+    this.seed =
+      seed === undefined || seed === null
+        ? SeededRandom.randomSeed()
+        : String(seed);
+    this.state = SeededRandom.hash(this.seed);
+  }
+
+  // FNV-1a, so any string (a date, a player-typed word) can be a seed
+  static hash(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  static randomSeed() {
+    return Math.floor(Math.random() * 0xffffffff).toString(36);
+  }
+
+  // Float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Integer in [0, n)
+  int(n) {
+    return Math.floor(this.next() * n);
+  }
+
+  pick(list) {
+    return list[this.int(list.length)];
+  }
+
+  // Independent stream for decisions that happen on their own clock
+  // (e.g. timed power-up spawns) so they can't shift the board sequence.
+  derive(label) {
+    return new SeededRandom(`${this.seed}:${label}`);
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { SeededRandom };
+}
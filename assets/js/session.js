@@ -0,0 +1,35 @@
+// === Resumable sessions ===
+// One in-progress game is kept in storage so a killed WebView or a trip
+// to the home screen doesn't cost the round. DigitDestroyer writes it on
+// every move, on pause and when the page is hidden; it's cleared once the
+// game ends or a new one starts.
+
+const SavedSession = {
+  storageKey: "session",
+  version: 1,
+
+  save(data) {
+    GameStorage.set(this.storageKey, {
+      v: this.version,
+      savedAt: Date.now(),
+      ...data,
+    });
+  },
+
+  // The saved game, or null if there's none this page can continue.
+  // Games resume in their own mode (and campaign level) only; daily games
+  // only on their own day and on the daily page.
+  load({ daily = null, mode = "classic", level = null } = {}) {
+    const data = GameStorage.get(this.storageKey);
+    if (!data || data.v !== this.version || !data.engine) return null;
+    if ((data.daily || null) !== daily) return null;
+    if ((data.mode || "classic") !== mode) return null;
+    if ((data.level || null) !== level) return null;
+    if (data.daily && data.daily !== DailyChallenge.todayKey()) return null;
+    return data;
+  },
+
+  clear() {
+    GameStorage.remove(this.storageKey);
+  },
+};
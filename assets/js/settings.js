@@ -0,0 +1,186 @@
+// === Player settings (persisted) + the settings panel ===
+// Settings.get/set read and write one JSON blob in localStorage; anything
+// that cares about a key subscribes with Settings.onChange(key, fn).
+
+const Settings = {
+  storageKey: "settings",
+  defaults: {
+    theme: "default",
+    masterVolume: 50, // 0-100
+    musicVolume: 40, // 0-100, on top of master
+    sfx: true,
+    particleDensity: 1, // multiplier on particles per exploding cell
+    screenShake: true,
+    sparkleTrail: true,
+    gameLength: 60, // seconds; only this length ranks
+    autoHint: true, // hint after a spell of no moves
+  },
+  _values: null,
+  _listeners: {},
+
+  all() {
+    if (!this._values) {
+      this._values = {
+        ...this.defaults,
+        ...GameStorage.get(this.storageKey, {}),
+      };
+    }
+    return this._values;
+  },
+
+  get(key) {
+    return this.all()[key];
+  },
+
+  set(key, value) {
+    this.all()[key] = value;
+    GameStorage.set(this.storageKey, this._values);
+    (this._listeners[key] || []).forEach((fn) => fn(value));
+  },
+
+  onChange(key, fn) {
+    (this._listeners[key] = this._listeners[key] || []).push(fn);
+  },
+};
+
+// Modal built from a field list, so the same panel serves index.html and
+// game.html. Other modules push their own fields before it is first opened.
+const SettingsPanel = {
+  fields: [
+    {
+      key: "theme",
+      label: "Colour theme",
+      type: "select",
+      options: () => Themes.list.map((t) => [t.id, t.name]),
+      after: () =>
+        `<div class="theme-preview">${[...Array(10).keys()]
+          .map((d) => `<span class="theme-chip digit-${d}">${d}</span>`)
+          .join("")}</div>`,
+    },
+    {
+      key: "masterVolume",
+      label: "Master volume",
+      type: "range",
+      min: 0,
+      max: 100,
+      step: 5,
+    },
+    {
+      key: "musicVolume",
+      label: "Music volume",
+      type: "range",
+      min: 0,
+      max: 100,
+      step: 5,
+    },
+    { key: "sfx", label: "Sound effects", type: "toggle" },
+    {
+      key: "particleDensity",
+      label: "Particles",
+      type: "select",
+      numeric: true,
+      options: () => [
+        [0, "Off"],
+        [0.4, "Low"],
+        [1, "Normal"],
+        [1.6, "High"],
+      ],
+    },
+    { key: "screenShake", label: "Screen shake", type: "toggle" },
+    { key: "sparkleTrail", label: "Sparkle trail", type: "toggle" },
+    {
+      key: "gameLength",
+      label: "Game length",
+      type: "select",
+      numeric: true,
+      options: () => [
+        [30, "30 seconds (practice)"],
+        [60, "60 seconds"],
+        [90, "90 seconds (practice)"],
+        [120, "2 minutes (practice)"],
+      ],
+    },
+    { key: "autoHint", label: "Auto hint when idle", type: "toggle" },
+  ],
+  _modal: null,
+  onClose: null,
+
+  open({ onClose = null } = {}) {
+    this.onClose = onClose;
+    if (!this._modal) this._build();
+    this._sync();
+    this._modal.style.display = "flex";
+  },
+
+  close() {
+    if (this._modal) this._modal.style.display = "none";
+    if (this.onClose) this.onClose();
+    this.onClose = null;
+  },
+
+  _build() {
+    const modal = document.createElement("div");
+    modal.className = "settings-modal";
+    modal.id = "settingsModal";
+    modal.innerHTML = `
+      <div class="settings-content" role="dialog" aria-modal="true" aria-labelledby="settingsTitle">
+        <h3 id="settingsTitle">⚙️ Settings</h3>
+        ${this.fields.map((f) => this._fieldHtml(f)).join("")}
+        <div class="settings-actions">
+          <button class="btn" data-close>Close</button>
+        </div>
+      </div>`;
+    document.body.appendChild(modal);
+
+    modal.querySelector("[data-close]").addEventListener("click", () =>
+      this.close()
+    );
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) this.close();
+    });
+    this.fields.forEach((f) => {
+      const input = modal.querySelector(`[data-setting="${f.key}"]`);
+      input.addEventListener("input", () =>
+        Settings.set(f.key, this._readInput(f, input))
+      );
+    });
+    this._modal = modal;
+  },
+
+  _fieldHtml(field) {
+    const id = `setting-${field.key}`;
+    let control;
+    if (field.type === "select") {
+      control = `<select id="${id}" data-setting="${field.key}">${field
+        .options()
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join("")}</select>`;
+    } else if (field.type === "toggle") {
+      control = `<input type="checkbox" id="${id}" data-setting="${field.key}" />`;
+    } else {
+      control = `<input type="range" id="${id}" data-setting="${field.key}" min="${field.min}" max="${field.max}" step="${field.step}" />`;
+    }
+    return `
+      <div class="settings-row">
+        <label for="${id}">${field.label}</label>
+        ${control}
+      </div>
+      ${field.after ? field.after() : ""}`;
+  },
+
+  _readInput(field, input) {
+    if (field.type === "toggle") return input.checked;
+    if (field.type === "range") return Number(input.value);
+    return field.numeric ? Number(input.value) : input.value;
+  },
+
+  // Reflect current values each time the panel opens
+  _sync() {
+    this.fields.forEach((f) => {
+      const input = this._modal.querySelector(`[data-setting="${f.key}"]`);
+      const value = Settings.get(f.key);
+      if (f.type === "toggle") input.checked = !!value;
+      else input.value = value;
+    });
+  },
+};
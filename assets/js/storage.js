@@ -0,0 +1,74 @@
+// === Local persistence helper ===
+// JSON values under one key prefix; storage failures (private mode, quota)
+// degrade to the fallback instead of breaking the game.
+// Each player gets their own key space (namespace, set by PlayerProfile at
+// boot): "digitdestroyer:@<gamer_id>:settings". The guest's namespace is
+// empty, so saves from before profiles existed stay the guest's. Shared
+// keys belong to the device and are never namespaced.
+
+const GameStorage = {
+  prefix: "digitdestroyer:",
+  namespace: "",
+  shared: ["profile", "mockprofile", "guestowner", "adpacing"],
+
+  key(key, namespace = this.namespace) {
+    return this.prefix + (this.shared.includes(key) ? "" : namespace) + key;
+  },
+
+  get(key, fallback = null) {
+    try {
+      const raw = window.localStorage.getItem(this.key(key));
+      return raw === null ? fallback : JSON.parse(raw);
+    } catch (e) {
+      console.log("GameStorage: read failed " + key, e);
+      return fallback;
+    }
+  },
+
+  set(key, value) {
+    try {
+      window.localStorage.setItem(this.key(key), JSON.stringify(value));
+    } catch (e) {
+      console.log("GameStorage: write failed " + key, e);
+    }
+  },
+
+  remove(key) {
+    try {
+      window.localStorage.removeItem(this.key(key));
+    } catch (e) {
+      console.log("GameStorage: remove failed " + key, e);
+    }
+  },
+
+  // Keys saved in a namespace (the guest's leaves out the players')
+  keys(namespace = this.namespace) {
+    const start = this.prefix + namespace;
+    const found = [];
+    try {
+      for (let i = 0; i < window.localStorage.length; i++) {
+        const full = window.localStorage.key(i);
+        if (!full.startsWith(start)) continue;
+        const key = full.slice(start.length);
+        if (!key.startsWith("@") && !this.shared.includes(key)) found.push(key);
+      }
+    } catch (e) {
+      console.log("GameStorage: listing failed", e);
+    }
+    return found;
+  },
+
+  // Copies one namespace's values into another, keeping any already there
+  copy(from, to) {
+    this.keys(from).forEach((key) => {
+      try {
+        const storage = window.localStorage;
+        const target = this.key(key, to);
+        if (storage.getItem(target) !== null) return;
+        storage.setItem(target, storage.getItem(this.key(key, from)));
+      } catch (e) {
+        console.log("GameStorage: copy failed " + key, e);
+      }
+    });
+  },
+};
@@ -0,0 +1,20 @@
+// === Digit colour themes ===
+// A theme is just data-theme on <html>; themes.css swaps the palette
+// variables, so cells never need extra classes.
+
+const Themes = {
+  list: [
+    { id: "default", name: "Default" },
+    { id: "deuteranopia", name: "Colour-blind safe" },
+    { id: "high-contrast", name: "High contrast" },
+    { id: "monochrome", name: "Monochrome + patterns" },
+  ],
+
+  apply(id) {
+    const theme = Themes.list.find((t) => t.id === id) || Themes.list[0];
+    document.documentElement.dataset.theme = theme.id;
+  },
+};
+
+Themes.apply(Settings.get("theme"));
+Settings.onChange("theme", Themes.apply);
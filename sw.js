@@ -0,0 +1,90 @@
+// === Offline service worker ===
+// Precaches the whole game so it starts and plays with no connection.
+// Bump CACHE_VERSION whenever assets change: the new worker installs
+// alongside the old one and the home screen offers "update available".
+
+const CACHE_VERSION = "v3.0.0-38";
+const CACHE_NAME = `digitdestroyer-${CACHE_VERSION}`;
+
+const PRECACHE = [
+  "./",
+  "./index.html",
+  "./game.html",
+  "./manifest.json",
+  "./assets/css/home.style.css",
+  "./assets/css/styles.css",
+  "./assets/css/themes.css",
+  "./assets/css/settings.css",
+  "./assets/js/storage.js",
+  "./assets/js/profile.js",
+  "./assets/js/daily.js",
+  "./assets/js/session.js",
+  "./assets/js/modes.js",
+  "./assets/js/levels.js",
+  "./assets/js/highscores.js",
+  "./assets/js/settings.js",
+  "./assets/js/themes.js",
+  "./assets/js/offline.js",
+  "./assets/js/rng.js",
+  "./assets/js/replay.js",
+  "./assets/js/input.js",
+  "./assets/js/music.js",
+  "./assets/js/engine.js",
+  "./assets/js/app.js",
+  "./assets/js/rewards.js",
+  "./assets/js/mockhost.js",
+  "./assets/js/jiogames_sp_wrapper.js",
+  "./assets/js/ads.js",
+  "./assets/icons/digitdestro.jpg",
+  "./assets/icons/digitdestro.png",
+  "./assets/icons/ficon.jpeg",
+  "./assets/images/background.png",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE))
+  );
+  // No skipWaiting here: the page asks for it once the player agrees to
+  // reload, so a running game never switches assets underneath itself.
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((k) => k.startsWith("digitdestroyer-") && k !== CACHE_NAME)
+            .map((k) => caches.delete(k))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+// Cache-first for our own files; ads and other hosts go straight to the
+// network (and are allowed to fail offline)
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  if (new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith(
+    // ignoreSearch so game.html?daily / ?seed=… / ?replay=… hit the cache
+    caches.match(request, { ignoreSearch: true }).then(
+      (cached) =>
+        cached ||
+        fetch(request).catch(() =>
+          request.mode === "navigate"
+            ? caches.match("./index.html")
+            : Response.error()
+        )
+    )
+  );
+});
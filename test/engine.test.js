@@ -0,0 +1,123 @@
+// GameEngine rules, run headless: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { GameEngine } = require("../assets/js/engine.js");
+
+// No neighbours share a digit: rows step by 1, columns by 4
+const quietGrid = (rows, cols) =>
+  Array.from({ length: rows }, (_, r) =>
+    Array.from({ length: cols }, (_, c) => (r * 4 + c) % 10)
+  );
+
+// A 4x4 board laid out by hand, with no specials from refills
+function board(grid = quietGrid(4, 4), options = {}) {
+  const engine = new GameEngine({
+    seed: "test",
+    size: grid.length,
+    specialTiles: [],
+    ...options,
+  });
+  engine.grid = grid;
+  engine.specials = grid.map((row) => row.map(() => null));
+  return engine;
+}
+
+test("the same seed gives the same grid and refills", () => {
+  const a = new GameEngine({ seed: "abc" });
+  const b = new GameEngine({ seed: "abc" });
+  assert.deepEqual(a.grid, b.grid);
+  assert.notDeepEqual(a.grid, new GameEngine({ seed: "xyz" }).grid);
+
+  const [{ row, col }] = a.bestMove();
+  const moveA = a.move(row, col);
+  const moveB = b.move(row, col);
+  assert.ok(moveA.valid);
+  assert.deepEqual(moveA.filled, moveB.filled);
+  assert.deepEqual(a.grid, b.grid);
+  assert.deepEqual(a.specials, b.specials);
+});
+
+test("applyGravity drops tiles past holes, never into them", () => {
+  const engine = new GameEngine({
+    seed: "holes",
+    shape: [".", "#", "."],
+    specialTiles: [],
+  });
+  engine.grid = [[5], [null], [null]];
+  engine.specials = [[{ type: "x2" }], [null], [null]];
+  engine.applyGravity();
+  assert.deepEqual(engine.grid, [[null], [null], [5]]);
+  assert.deepEqual(engine.specials, [[null], [null], [{ type: "x2" }]]);
+  assert.equal(engine.refill().length, 1);
+  assert.equal(engine.grid[1][0], null);
+});
+
+test("a bomb clears its 3x3 but only cracks a lock", () => {
+  const grid = quietGrid(4, 4);
+  grid[0][0] = grid[0][1] = 9;
+  const engine = board(grid);
+  engine.specials[0][1] = { type: "bomb" };
+  engine.specials[1][0] = { type: "lock", hits: 2 };
+
+  const move = engine.move(0, 0);
+  assert.ok(move.valid);
+  const cleared = move.cells.map(({ row, col }) => `${row}-${col}`).sort();
+  assert.deepEqual(cleared, ["0-0", "0-1", "0-2", "1-1", "1-2"]);
+  assert.deepEqual(move.cracked, [{ row: 1, col: 0 }]);
+  assert.deepEqual(engine.specials[1][0], { type: "lock", hits: 1 });
+});
+
+test("a lock matches nothing until it breaks", () => {
+  const grid = quietGrid(4, 4);
+  grid[0][0] = grid[0][1] = 9;
+  const engine = board(grid);
+  engine.specials[0][1] = { type: "lock", hits: 1 };
+  assert.equal(engine.isValidMove(0, 0), false);
+  assert.equal(engine.move(0, 0).valid, false);
+  assert.deepEqual(engine.specials[0][1], { type: "lock", hits: 1 });
+});
+
+test("a wildcard joins the neighbouring digit", () => {
+  const grid = quietGrid(4, 4);
+  grid[0][0] = grid[0][2] = 9;
+  const engine = board(grid);
+  engine.specials[0][1] = { type: "wild" };
+
+  assert.equal(engine.findGroup(0, 0).length, 3);
+  assert.equal(engine.findGroup(0, 1).length, 3);
+  const move = engine.move(0, 2);
+  assert.equal(move.cells.length, 3);
+  assert.equal(engine.stats.clearedDigits[9], 2); // wildcards not counted
+});
+
+test("x2 tiles double the group's score", () => {
+  const grid = quietGrid(4, 4);
+  grid[3][0] = grid[3][1] = 9;
+  const plain = board(grid.map((row) => row.slice()));
+  const doubled = board(grid.map((row) => row.slice()));
+  doubled.specials[3][1] = { type: "x2" };
+  assert.equal(doubled.move(3, 0).points, plain.move(3, 0).points * 2);
+});
+
+test("serialize() and restore() round-trip a game", () => {
+  let now = 1000;
+  const clock = () => now;
+  const engine = new GameEngine({ seed: "save", clock, hintLimit: 3 });
+  for (let i = 0; i < 3; i++) {
+    const [{ row, col }] = engine.bestMove();
+    engine.move(row, col);
+  }
+  engine.useHint();
+  const saved = JSON.parse(JSON.stringify(engine.serialize()));
+
+  const copy = new GameEngine({ seed: "other", clock, hintLimit: 3 });
+  copy.restore(saved);
+  assert.deepEqual(copy.serialize(), engine.serialize());
+
+  now += 500;
+  const [{ row, col }] = engine.bestMove();
+  assert.deepEqual(copy.move(row, col), engine.move(row, col));
+  assert.deepEqual(copy.grid, engine.grid);
+  assert.equal(copy.score, engine.score);
+});